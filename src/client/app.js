@@ -1,79 +1,96 @@
 // Main app logic - PWA shopping list with Google OAuth
 // Private-by-default with sharing
 
-const API_URL = window.location.origin;
 const localDB = new LocalDB();
 
 let currentUser = null;
 let currentList = null;
 let savedLists = [];
 let syncInterval = null;
+let liveSocket = null;
+let liveRetryTimer = null;
+let liveRetryDelay = 1000;
+let livePingInterval = null;
 let categories = [];
 let draggedCategory = null;
 let sortableInstance = null;
+let deviceId = null;
+let expandedItemIds = new Set();
 
 // Initialize
 async function init() {
   await localDB.init();
   await initTheme();
+  deviceId = await localDB.getDeviceId();
   
-  // Check for OAuth callback - token stored in localStorage by callback page
-  const storedToken = localStorage.getItem('authToken');
-  const storedUser = localStorage.getItem('authUser');
-  const tokenExpiry = localStorage.getItem('tokenExpiry');
-  
-  // Clear from localStorage after reading
-  localStorage.removeItem('authToken');
-  localStorage.removeItem('authUser');
-  localStorage.removeItem('tokenExpiry');
-  
-  let token = storedToken;
-  let user = storedUser ? JSON.parse(storedUser) : null;
+  // Back from Google: the Worker left the new session in a cookie only
+  // /api/auth/claim can read
+  const urlParams = new URLSearchParams(window.location.search);
+  const signInResult = urlParams.get('signin');
+  const inviteToken = urlParams.get('invite');
+  if (signInResult || inviteToken) {
+    urlParams.delete('signin');
+    urlParams.delete('invite');
+    const query = urlParams.toString();
+    history.replaceState(null, '', window.location.pathname + (query ? `?${query}` : ''));
+  }
   
-  // Check if token is expired
-  if (token && tokenExpiry && parseInt(tokenExpiry) < Date.now()) {
-    token = null;
-    user = null;
+  // Kept until after sign-in, which may leave the page to visit Google
+  if (inviteToken) {
+    await localDB.setMeta('pendingInvite', inviteToken);
   }
   
-  if (!token || !user) {
-    // Try IndexedDB as fallback
-    user = await localDB.getAuthUser();
-    token = await localDB.getAuthToken();
+  if (signInResult === 'complete') {
+    try {
+      const response = await fetch(`${API_URL}/api/auth/claim`, { method: 'POST' });
+      if (response.ok) {
+        const data = await response.json();
+        await localDB.saveAuth(data.user, data);
+      }
+    } catch (e) {
+      console.error('Sign in error:', e);
+    }
+  } else if (signInResult === 'failed') {
+    alert('Sign in failed. Please try again.');
   }
   
+  const user = await localDB.getAuthUser();
+  const token = user ? await getSessionToken() : null;
+  
   if (!user || !token) {
     // Show login screen
     showLoginScreen();
     return;
   }
   
-  // Verify token with backend
+  // Verify session with backend
   try {
     const response = await fetch(`${API_URL}/api/user`, {
       headers: { 'Authorization': `Bearer ${token}` }
     });
     
     if (!response.ok) {
-      // Token invalid, show login
+      // Session revoked or expired, show login
+      await localDB.clearAuth();
       showLoginScreen();
       return;
     }
     
     const data = await response.json();
     currentUser = data.user;
-    await localDB.saveAuth(currentUser, token);
+    await localDB.setMeta('authUser', currentUser);
   } catch (e) {
     showLoginScreen();
     return;
   }
   
+  const joinedListId = await acceptPendingInvite();
+  
   // Load user's lists
   await loadSavedLists();
   
   // Check for URL parameters (shared list link)
-  const urlParams = new URLSearchParams(window.location.search);
-  const sharedListId = urlParams.get('list');
+  const sharedListId = joinedListId || urlParams.get('list');
   
   if (sharedListId) {
     // Try to access the shared list
@@ -95,7 +112,8 @@ async function init() {
   // Listen for online/offline
   window.addEventListener('online', () => {
     showSyncStatus('Back online', false);
-    syncNow();
+    syncNow({ allLists: true });
+    connectLive();
   });
   window.addEventListener('offline', () => {
     showSyncStatus('Offline mode', true);
@@ -113,6 +131,30 @@ async function init() {
 
 function showLoginScreen() {
   document.getElementById('login-screen').classList.remove('hidden');
+  renderSignInOptions();
+}
+
+// Only offer the providers this Worker has configured. Offline, the Google
+// button stays as a best guess.
+async function renderSignInOptions() {
+  let providers;
+  try {
+    const response = await fetch(`${API_URL}/api/auth/providers`);
+    ({ providers } = await response.json());
+  } catch (e) {
+    return;
+  }
+  
+  document.getElementById('google-signin').classList.toggle('hidden', !providers.some(p => p.id === 'google'));
+  
+  const devProvider = providers.find(p => p.id === 'dev');
+  const devContainer = document.getElementById('dev-signin');
+  devContainer.innerHTML = devProvider ? devProvider.users.map(user => `
+    <button class="google-btn" onclick="signIn('dev', { email: '${escapeHtml(user.email)}' })">
+      Sign in as ${escapeHtml(user.name)}
+    </button>
+  `).join('') : '';
+  devContainer.classList.toggle('hidden', !devProvider);
 }
 
 function hideLoginScreen() {
@@ -127,56 +169,28 @@ function hideCreateFirstListPrompt() {
   document.getElementById('no-lists-screen').classList.add('hidden');
 }
 
-async function signInWithGoogle() {
-  try {
-    // Get auth URL template from backend
-    const response = await fetch(`${API_URL}/api/auth/google`);
-    const { authUrl } = await response.json();
-    
-    // Replace placeholder with actual origin
-    const actualAuthUrl = authUrl.replace('REPLACE_WITH_ORIGIN', `${window.location.origin}/auth/callback`);
-    
-    // Redirect to Google for authentication
-    window.location.href = actualAuthUrl;
-  } catch (err) {
-    console.error('Sign in error:', err);
-    alert('Sign in failed. Please try again.');
-  }
+// The Worker runs the provider's sign-in and redirects back with ?signin=
+function signIn(providerId, params = {}) {
+  const query = new URLSearchParams(params).toString();
+  window.location.href = `${API_URL}/api/auth/${providerId}${query ? `?${query}` : ''}`;
 }
 
-// Handle OAuth callback from popup
-async function handleOAuthCallback(hash) {
-  const params = new URLSearchParams(hash.substring(1));
-  const accessToken = params.get('access_token');
-  const expiresIn = params.get('expires_in');
-  
-  if (!accessToken) {
-    return { error: 'No access token' };
-  }
-  
-  // Get user info
-  const userInfoRes = await fetch('https://www.googleapis.com/oauth2/v2/userinfo', {
-    headers: { 'Authorization': `Bearer ${accessToken}` }
-  });
-  
-  if (!userInfoRes.ok) {
-    return { error: 'Failed to get user info' };
-  }
-  
-  const userInfo = await userInfoRes.json();
-  
-  // Send to our backend to create/update user
-  const response = await fetch(`${API_URL}/api/auth/callback${hash}`);
-  const data = await response.json();
+async function signOut() {
+  const token = await getSessionToken();
   
-  if (data.error) {
-    return { error: data.error };
+  // Best effort: revoke the session on the server too
+  if (token) {
+    try {
+      await fetch(`${API_URL}/api/auth/logout`, {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+    } catch (e) {
+      console.error('Logout failed:', e);
+    }
   }
   
-  return { user: data.user, accessToken };
-}
-
-async function signOut() {
+  stopSync();
   await localDB.clearAuth();
   currentUser = null;
   currentList = null;
@@ -186,7 +200,7 @@ async function signOut() {
 
 // Load saved lists from server
 async function loadSavedLists() {
-  const token = await localDB.getAuthToken();
+  const token = await getSessionToken();
   const response = await fetch(`${API_URL}/api/lists`, {
     headers: { 'Authorization': `Bearer ${token}` }
   });
@@ -220,8 +234,8 @@ async function registerServiceWorker() {
     });
     
     navigator.serviceWorker.addEventListener('message', (event) => {
-      if (event.data.type === 'SYNC_NOW') {
-        syncNow();
+      if (event.data.type === 'SYNC_COMPLETE') {
+        refreshAfterBackgroundSync(event.data.listIds);
       }
     });
     
@@ -230,6 +244,15 @@ async function registerServiceWorker() {
   }
 }
 
+// The service worker wrote straight to IndexedDB, so just re-render
+async function refreshAfterBackgroundSync(listIds) {
+  if (!currentList || !listIds.includes(currentList.id)) return;
+  
+  categories = await localDB.getCategories(currentList.id);
+  await renderItems();
+  updateCategoryDropdown();
+}
+
 let deferredPrompt = null;
 
 function setupPwaInstall() {
@@ -303,20 +326,21 @@ async function addOrUpdateSavedList(listInfo) {
 async function removeSavedList(listId) {
   savedLists = savedLists.filter(l => l.id !== listId);
   await saveListsToStorage();
+  await localDB.clearList(listId);
   
   if (currentList && currentList.id === listId) {
     if (savedLists.length > 0) {
-      await switchToList(savedLists[0]);
+      await switchToList(savedLists.find(l => !l.archived) || savedLists[0]);
     } else {
       currentList = null;
-      if (syncInterval) clearInterval(syncInterval);
+      stopSync();
       showCreateFirstListPrompt();
     }
   }
 }
 
 async function switchToList(listInfo) {
-  if (syncInterval) clearInterval(syncInterval);
+  stopSync();
   
   currentList = listInfo;
   await localDB.setMeta('lastUsedListId', listInfo.id);
@@ -331,7 +355,7 @@ async function switchToList(listInfo) {
 }
 
 async function loadListData(listId) {
-  categories = await localDB.getCategories();
+  categories = await localDB.getCategories(listId);
 }
 
 async function toggleAddSection(forceCollapse = null) {
@@ -360,7 +384,8 @@ async function createList() {
     return;
   }
   
-  const token = await localDB.getAuthToken();
+  const templateId = document.getElementById('new-list-template').value || null;
+  const token = await getSessionToken();
   
   try {
     const response = await fetch(`${API_URL}/api/list`, {
@@ -369,24 +394,32 @@ async function createList() {
         'Content-Type': 'application/json',
         'Authorization': `Bearer ${token}`
       },
-      body: JSON.stringify({ name })
+      body: JSON.stringify({ name, templateId })
     });
     
     const data = await response.json();
     if (data.error) throw new Error(data.error);
     
-    const newList = { id: data.id, name, access: data.access };
+    document.getElementById('new-list-name').value = '';
+    hideSetupModal();
+    
+    // A list made from a template already has items, so load it whole
+    if (templateId) {
+      await openList(data.id);
+      return;
+    }
+    
+    const newList = { id: data.id, name, access: data.access, archived: false };
     await addOrUpdateSavedList(newList);
     
     await localDB.saveCategory({
       id: data.defaultCategoryId,
+      listId: data.id,
       name: 'Uncategorized',
       sortOrder: 0,
       updatedAt: new Date().toISOString()
     });
     
-    document.getElementById('new-list-name').value = '';
-    
     await switchToList(newList);
     showShareModal();
   } catch (err) {
@@ -395,7 +428,7 @@ async function createList() {
 }
 
 async function openList(listId) {
-  const token = await localDB.getAuthToken();
+  const token = await getSessionToken();
   
   const response = await fetch(`${API_URL}/api/list/${listId}`, {
     headers: { 'Authorization': `Bearer ${token}` }
@@ -404,18 +437,25 @@ async function openList(listId) {
   const data = await response.json();
   if (data.error) throw new Error(data.error);
   
-  const listInfo = { id: data.id, name: data.name, access: data.access };
+  const listInfo = { id: data.id, name: data.name, access: data.access, archived: data.archived, budget: data.budget };
   await addOrUpdateSavedList(listInfo);
   
-  await localDB.clearItems();
-  await localDB.clearCategories();
+  await localDB.clearItems(data.id);
+  await localDB.clearCategories(data.id);
   
   for (const item of data.items) {
     await localDB.saveItem({
       id: item.id,
+      listId: data.id,
       text: item.text,
+      quantity: item.quantity,
+      unit: item.unit,
+      notes: item.notes,
+      price: item.price,
       categoryId: item.categoryId,
       completed: item.completed,
+      recurrence: item.recurrence,
+      fieldVersions: item.fieldVersions,
       updatedAt: item.updatedAt
     });
   }
@@ -423,8 +463,10 @@ async function openList(listId) {
   for (const category of data.categories) {
     await localDB.saveCategory({
       id: category.id,
+      listId: data.id,
       name: category.name,
       sortOrder: category.sortOrder,
+      fieldVersions: category.fieldVersions,
       updatedAt: new Date().toISOString()
     });
   }
@@ -437,6 +479,28 @@ function showCreateNewListModal() {
   document.getElementById('setup-modal').classList.remove('hidden');
   document.getElementById('setup-modal').querySelector('h2').textContent = 'Create New List';
   document.getElementById('create-list-section').classList.remove('hidden');
+  loadTemplateOptions();
+}
+
+async function loadTemplateOptions() {
+  const select = document.getElementById('new-list-template');
+  select.innerHTML = '<option value="">Start with an empty list</option>';
+  
+  const templates = await fetchTemplates().catch(() => []);
+  select.innerHTML += templates.map(template => `
+    <option value="${template.id}">${escapeHtml(template.name)} (${template.itemCount} item${template.itemCount === 1 ? '' : 's'})</option>
+  `).join('');
+  select.classList.toggle('hidden', templates.length === 0);
+}
+
+async function fetchTemplates() {
+  const token = await getSessionToken();
+  const response = await fetch(`${API_URL}/api/templates`, {
+    headers: { 'Authorization': `Bearer ${token}` }
+  });
+  const data = await response.json();
+  if (data.error) throw new Error(data.error);
+  return data.templates;
 }
 
 function hideSetupModal() {
@@ -459,7 +523,7 @@ function closeListSwitcher(event) {
   }
 }
 
-function renderSavedLists() {
+async function renderSavedLists() {
   const container = document.getElementById('saved-lists-container');
   
   if (savedLists.length === 0) {
@@ -467,226 +531,767 @@ function renderSavedLists() {
     return;
   }
   
+  const pendingCounts = await localDB.getPendingCounts();
   const sortedLists = [...savedLists].sort((a, b) => (b.lastAccessed || 0) - (a.lastAccessed || 0));
+  const activeLists = sortedLists.filter(list => !list.archived);
+  const archivedLists = sortedLists.filter(list => list.archived);
   
-  container.innerHTML = sortedLists.map(list => `
-    <div class="saved-list-item ${currentList && currentList.id === list.id ? 'active' : ''}" 
+  container.innerHTML = activeLists.map(list => renderSavedList(list, pendingCounts)).join('') + (archivedLists.length > 0 ? `
+    <div class="saved-lists-heading">Archived lists</div>
+    ${archivedLists.map(list => renderSavedList(list, pendingCounts)).join('')}
+  ` : '');
+}
+
+function renderSavedList(list, pendingCounts) {
+  return `
+    <div class="saved-list-item ${currentList && currentList.id === list.id ? 'active' : ''} ${list.archived ? 'archived' : ''}" 
          onclick="selectListFromSwitcher('${list.id}')">
       <div class="saved-list-info">
         <div class="saved-list-name">${escapeHtml(list.name)}</div>
-        <div class="saved-list-id">${list.access === 'owner' ? 'Owner' : 'Collaborator'}</div>
+        <div class="saved-list-id">
+          ${roleLabel(list.access)}
+          ${pendingCounts[list.id] ? `<span class="saved-list-pending">${pendingCounts[list.id]} unsynced</span>` : ''}
+        </div>
       </div>
       <div class="saved-list-actions" onclick="event.stopPropagation()">
-        ${list.access === 'owner' ? `
+        <button class="list-action-btn" onclick="showCopyListModal('${list.id}')" title="Duplicate or save as template">
+          <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><rect x="9" y="9" width="13" height="13" rx="2" ry="2"/><path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"/></svg>
+        </button>
+        ${canShare(list) ? `
         <button class="list-action-btn" onclick="showShareListModal('${list.id}')" title="Share">
           <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="18" cy="5" r="3"/><circle cx="6" cy="12" r="3"/><circle cx="18" cy="19" r="3"/><line x1="8.59" y1="13.51" x2="15.42" y2="17.49"/><line x1="15.41" y1="6.51" x2="8.59" y2="10.49"/></svg>
         </button>
         ` : ''}
-        ${list.access === 'owner' ? `
+        ${canShare(list) ? `
         <button class="list-action-btn" onclick="showListShares('${list.id}')" title="Manage shares">
           <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M17 21v-2a4 4 0 0 0-4-4H5a4 4 0 0 0-4 4v2"/><circle cx="9" cy="7" r="4"/><path d="M23 21v-2a4 4 0 0 0-3-3.87"/><path d="M16 3.13a4 4 0 0 1 0 7.75"/></svg>
         </button>
         ` : ''}
-        <button class="list-action-btn" onclick="deleteSavedList('${list.id}')" title="Remove">
+        ${list.access === 'owner' ? `
+        <button class="list-action-btn" onclick="showTransferModal('${list.id}')" title="Transfer ownership">
+          <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M16 21v-2a4 4 0 0 0-4-4H6a4 4 0 0 0-4 4v2"/><circle cx="9" cy="7" r="4"/><polyline points="17 11 19 13 23 9"/></svg>
+        </button>
+        <button class="list-action-btn" onclick="renameList('${list.id}')" title="Rename">
+          <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M12 20h9"/><path d="M16.5 3.5a2.121 2.121 0 0 1 3 3L7 19l-4 1 1-4L16.5 3.5z"/></svg>
+        </button>
+        <button class="list-action-btn" onclick="setListArchived('${list.id}', ${!list.archived})" title="${list.archived ? 'Unarchive' : 'Archive'}">
+          <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="21 8 21 21 3 21 3 8"/><rect x="1" y="3" width="22" height="5"/><line x1="10" y1="12" x2="14" y2="12"/></svg>
+        </button>
+        <button class="list-action-btn" onclick="deleteList('${list.id}')" title="Delete">
           <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M3 6h18"/><path d="M19 6v14c0 1-1 2-2 2H7c-1 0-2-1-2-2V6"/><path d="M8 6V4c0-1 1-2 2-2h4c1 0 2 1 2 2v2"/></svg>
         </button>
+        ` : `
+        <button class="list-action-btn" onclick="leaveList('${list.id}')" title="Leave list">
+          <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M9 21H5a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h4"/><polyline points="16 17 21 12 16 7"/><line x1="21" y1="12" x2="9" y2="12"/></svg>
+        </button>
+        `}
       </div>
     </div>
-  `).join('');
+  `;
 }
 
 async function selectListFromSwitcher(listId) {
   const list = savedLists.find(l => l.id === listId);
   if (list && (!currentList || currentList.id !== listId)) {
-    await openList(listId);
+    // Saved lists are stored locally, so switch instantly and let sync catch up
+    await switchToList(list);
   }
   hideListSwitcher();
 }
 
-async function deleteSavedList(listId) {
+async function renameList(listId) {
   const list = savedLists.find(l => l.id === listId);
-  const accessText = list?.access === 'owner' ? 'This will remove the list from your device.' : 'This will remove the shared list from your device.';
+  if (!list) return;
   
-  if (!confirm(accessText)) {
+  const name = prompt('List name', list.name);
+  if (name === null || !name.trim() || name.trim() === list.name) {
     return;
   }
   
-  await removeSavedList(listId);
-  renderSavedLists();
+  await updateList(listId, { name: name.trim() });
 }
 
-// Share Modal
-function showShareModal() {
-  if (!currentList) return;
-  
-  document.getElementById('share-list-name').textContent = currentList.name;
-  document.getElementById('share-email').value = '';
-  document.getElementById('share-section').classList.remove('hidden');
-  document.getElementById('shares-list-section').classList.add('hidden');
-  
-  document.getElementById('share-modal').classList.remove('hidden');
+async function setListArchived(listId, archived) {
+  await updateList(listId, { archived });
 }
 
-async function showShareListModal(listId) {
-  const list = savedLists.find(l => l.id === listId);
-  if (!list) return;
-  
-  currentList = list;
-  showShareModal();
+async function updateList(listId, changes) {
+  const token = await getSessionToken();
   
-  const originalHide = hideShareModal;
-  hideShareModal = function() {
-    originalHide();
-    hideShareModal = originalHide;
-  };
+  try {
+    const response = await fetch(`${API_URL}/api/list/${listId}`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`
+      },
+      body: JSON.stringify(changes)
+    });
+    const data = await response.json();
+    if (data.error) throw new Error(data.error);
+    
+    await applyListInfo(listId, data);
+    renderSavedLists();
+  } catch (err) {
+    alert('Error: ' + err.message);
+  }
 }
 
-async function showListShares(listId) {
-  const token = await localDB.getAuthToken();
+// Deleting removes the list for everyone; collaborators' devices drop it on
+// their next sync
+async function deleteList(listId) {
+  const list = savedLists.find(l => l.id === listId);
+  if (!list || !confirm(`Delete "${list.name}" for everyone it is shared with? This cannot be undone.`)) {
+    return;
+  }
+  
+  const token = await getSessionToken();
   
   try {
-    const response = await fetch(`${API_URL}/api/list/${listId}/shares`, {
+    const response = await fetch(`${API_URL}/api/list/${listId}`, {
+      method: 'DELETE',
       headers: { 'Authorization': `Bearer ${token}` }
     });
-    
     const data = await response.json();
+    if (data.error) throw new Error(data.error);
     
-    const list = savedLists.find(l => l.id === listId);
-    currentList = list;
-    
-    document.getElementById('share-list-name').textContent = list.name;
-    document.getElementById('shares-list-section').classList.remove('hidden');
-    document.getElementById('share-section').classList.add('hidden');
-    
-    const sharesContainer = document.getElementById('shares-list-container');
-    
-    if (!data.shares || data.shares.length === 0) {
-      sharesContainer.innerHTML = '<p style="text-align: center; color: var(--text-muted); padding: 20px;">No collaborators yet</p>';
-    } else {
-      sharesContainer.innerHTML = data.shares.map(share => `
-        <div class="share-item">
-          <div class="share-user-info">
-            ${share.picture ? `<img src="${escapeHtml(share.picture)}" class="share-avatar">` : '<div class="share-avatar-placeholder"></div>'}
-            <div>
-              <div class="share-user-name">${escapeHtml(share.name || share.email)}</div>
-              <div class="share-user-email">${escapeHtml(share.email)}</div>
-            </div>
-          </div>
-          <button class="list-action-btn" onclick="removeShare('${listId}', '${share.id}')" title="Remove access">
-            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/></svg>
-          </button>
-        </div>
-      `).join('');
-    }
-    
-    document.getElementById('share-modal').classList.remove('hidden');
-    
-    const originalHide = hideShareModal;
-    hideShareModal = function() {
-      document.getElementById('share-section').classList.remove('hidden');
-      document.getElementById('shares-list-section').classList.add('hidden');
-      originalHide();
-      hideShareModal = originalHide;
-    };
-    
+    await removeSavedList(listId);
+    renderSavedLists();
   } catch (err) {
     alert('Error: ' + err.message);
   }
 }
 
-function hideShareModal() {
-  document.getElementById('share-modal').classList.add('hidden');
+// Duplicate / Save as Template
+let copyListId = null;
+
+function showCopyListModal(listId) {
+  const list = savedLists.find(l => l.id === listId);
+  if (!list) return;
+  
+  copyListId = listId;
+  document.getElementById('copy-list-name').textContent = list.name;
+  document.getElementById('copy-list-new-name').value = list.name;
+  document.getElementById('copy-list-modal').classList.remove('hidden');
 }
 
-function closeShareModal(event) {
+function hideCopyListModal() {
+  copyListId = null;
+  document.getElementById('copy-list-modal').classList.add('hidden');
+}
+
+function closeCopyListModal(event) {
   if (event.target === event.currentTarget) {
-    hideShareModal();
+    hideCopyListModal();
   }
 }
 
-async function shareListWithEmail() {
-  const email = document.getElementById('share-email').value.trim();
+// The copy belongs to you, is not shared and has every item unticked
+async function duplicateList() {
+  const listId = copyListId;
+  const name = document.getElementById('copy-list-new-name').value.trim();
+  const list = savedLists.find(l => l.id === listId);
+  if (!list) return;
   
-  if (!email) {
-    alert('Please enter an email address');
-    return;
-  }
+  const token = await getSessionToken();
   
-  if (!currentList || currentList.access !== 'owner') {
-    alert('Only the owner can share lists');
+  try {
+    const response = await fetch(`${API_URL}/api/list/${listId}/duplicate`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`
+      },
+      body: JSON.stringify({ name: name && name !== list.name ? name : null })
+    });
+    const data = await response.json();
+    if (data.error) throw new Error(data.error);
+    
+    hideCopyListModal();
+    hideListSwitcher();
+    await openList(data.id);
+  } catch (err) {
+    alert('Error: ' + err.message);
+  }
+}
+
+async function saveListAsTemplate() {
+  const listId = copyListId;
+  const name = document.getElementById('copy-list-new-name').value.trim();
+  if (!name) {
+    alert('Please enter a template name');
     return;
   }
   
-  const token = await localDB.getAuthToken();
+  const token = await getSessionToken();
   
   try {
-    const response = await fetch(`${API_URL}/api/list/${currentList.id}/share`, {
+    const response = await fetch(`${API_URL}/api/list/${listId}/template`, {
       method: 'POST',
-      headers: { 
+      headers: {
         'Content-Type': 'application/json',
         'Authorization': `Bearer ${token}`
       },
-      body: JSON.stringify({ email })
+      body: JSON.stringify({ name })
     });
-    
     const data = await response.json();
     if (data.error) throw new Error(data.error);
     
-    alert(`List shared with ${email}`);
-    document.getElementById('share-email').value = '';
-    
-    // Refresh shares
-    showListShares(currentList.id);
+    hideCopyListModal();
+    alert(`Saved "${data.template.name}". Pick it when you create a new list.`);
   } catch (err) {
     alert('Error: ' + err.message);
   }
 }
 
-async function removeShare(listId, shareUserId) {
-  if (!confirm('Remove this user\'s access to the list?')) {
+// Renames, archiving and deletes made on another device or by the owner,
+// and lost access, from a sync or a live update
+async function applyListInfo(listId, info) {
+  const list = savedLists.find(l => l.id === listId);
+  if (!list) return;
+  
+  if (info.deleted) {
+    const wasCurrent = currentList && currentList.id === listId;
+    await removeSavedList(listId);
+    if (wasCurrent) {
+      showSyncStatus(info.removed
+        ? `You no longer have access to "${list.name}"`
+        : `"${list.name}" was deleted by its owner`, true);
+      setTimeout(() => hideSyncStatus(), 5000);
+    }
+    return;
+  }
+  
+  list.name = info.name;
+  list.archived = info.archived;
+  list.budget = info.budget ?? null;
+  // A sync reports this user's role; live updates carry everyone's as
+  // { [userId]: role }
+  const access = info.access || info.roles?.[currentUser?.id];
+  if (access) list.access = access;
+  await saveListsToStorage();
+  
+  if (currentList && currentList.id === listId) {
+    const budgetChanged = currentList.budget !== list.budget;
+    const accessChanged = currentList.access !== list.access;
+    currentList.name = info.name;
+    currentList.archived = info.archived;
+    currentList.budget = list.budget;
+    currentList.access = list.access;
+    document.getElementById('list-title').textContent = info.name;
+    if (accessChanged) {
+      await loadData();
+    } else if (budgetChanged) {
+      await renderItems();
+    }
+  }
+}
+
+// Leaving removes the share on the server, so the list does not come back
+// on the next loadSavedLists()
+async function leaveList(listId) {
+  const list = savedLists.find(l => l.id === listId);
+  if (!list || !confirm(`Leave "${list.name}"? You will lose access unless it is shared with you again.`)) {
     return;
   }
   
-  const token = await localDB.getAuthToken();
+  const token = await getSessionToken();
   
   try {
-    await fetch(`${API_URL}/api/list/${listId}/share/${shareUserId}`, {
+    const response = await fetch(`${API_URL}/api/list/${listId}/membership`, {
       method: 'DELETE',
       headers: { 'Authorization': `Bearer ${token}` }
     });
+    const data = await response.json();
+    if (data.error) throw new Error(data.error);
     
-    // Refresh shares
-    showListShares(listId);
+    await removeSavedList(listId);
+    renderSavedLists();
   } catch (err) {
     alert('Error: ' + err.message);
   }
 }
 
-function setupCategoryInput() {
-  const itemInput = document.getElementById('new-item');
-  const categorySelect = document.getElementById('category-select');
-  const newCategoryInput = document.getElementById('new-category');
-  const suggestionsContainer = document.getElementById('item-suggestions');
+// Transfer Ownership
+let transferListId = null;
+
+async function showTransferModal(listId) {
+  const list = savedLists.find(l => l.id === listId);
+  if (!list) return;
   
-  itemInput.addEventListener('input', async (e) => {
-    const text = e.target.value.trim();
+  const token = await getSessionToken();
+  
+  try {
+    const response = await fetch(`${API_URL}/api/list/${listId}/shares`, {
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+    const data = await response.json();
+    if (data.error) throw new Error(data.error);
     
-    // Show item name suggestions
-    if (text.length >= 2) {
-      const suggestions = await localDB.getItemSuggestions(text);
-      renderItemSuggestions(suggestions);
-    } else {
-      hideItemSuggestions();
+    if (!data.shares || data.shares.length === 0) {
+      alert('Share the list with someone first, then transfer it to them.');
+      return;
     }
     
-    // Category suggestion on exact match
-    if (text.length > 2) {
-      const suggestedCategoryId = await localDB.suggestCategoryForItem(text);
-      if (suggestedCategoryId) {
-        categorySelect.value = suggestedCategoryId;
-      }
-    }
-  });
+    transferListId = listId;
+    document.getElementById('transfer-list-name').textContent = list.name;
+    document.getElementById('transfer-owner-select').innerHTML = data.shares.map(share => `
+      <option value="${share.id}">${escapeHtml(share.name ? `${share.name} (${share.email})` : share.email)}</option>
+    `).join('');
+    document.getElementById('transfer-modal').classList.remove('hidden');
+  } catch (err) {
+    alert('Error: ' + err.message);
+  }
+}
+
+function hideTransferModal() {
+  transferListId = null;
+  document.getElementById('transfer-modal').classList.add('hidden');
+}
+
+function closeTransferModal(event) {
+  if (event.target === event.currentTarget) {
+    hideTransferModal();
+  }
+}
+
+async function transferOwnership() {
+  const listId = transferListId;
+  const select = document.getElementById('transfer-owner-select');
+  const newOwner = select.options[select.selectedIndex]?.textContent.trim();
+  if (!listId || !confirm(`Make ${newOwner} the owner? You will stay on the list as a co-owner.`)) {
+    return;
+  }
+  
+  const token = await getSessionToken();
+  
+  try {
+    const response = await fetch(`${API_URL}/api/list/${listId}/transfer`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`
+      },
+      body: JSON.stringify({ userId: select.value })
+    });
+    const data = await response.json();
+    if (data.error) throw new Error(data.error);
+    
+    const list = savedLists.find(l => l.id === listId);
+    if (list) list.access = data.access;
+    await saveListsToStorage();
+    if (currentList && currentList.id === listId) {
+      currentList.access = data.access;
+      await loadData();
+    }
+    
+    hideTransferModal();
+    renderSavedLists();
+  } catch (err) {
+    alert('Error: ' + err.message);
+  }
+}
+
+// Roles
+// A list's `access` is 'owner' or the role it was shared with. Lists saved
+// before roles existed say 'collaborator', which is what editors used to be.
+const SHARE_ROLE_LABELS = { viewer: 'Viewer', editor: 'Editor', 'co-owner': 'Co-owner' };
+
+function roleLabel(access) {
+  return access === 'owner' ? 'Owner' : (SHARE_ROLE_LABELS[access] || 'Editor');
+}
+
+function canEdit(list) {
+  return list.access !== 'viewer';
+}
+
+function canShare(list) {
+  return list.access === 'owner' || list.access === 'co-owner';
+}
+
+function roleOptions(selected) {
+  return Object.entries(SHARE_ROLE_LABELS).map(([role, label]) =>
+    `<option value="${role}" ${role === selected ? 'selected' : ''}>${label}</option>`
+  ).join('');
+}
+
+// Share Modal
+function showShareModal() {
+  if (!currentList) return;
+  
+  document.getElementById('share-list-name').textContent = currentList.name;
+  document.getElementById('share-email').value = '';
+  document.getElementById('share-role').value = 'editor';
+  document.getElementById('share-section').classList.remove('hidden');
+  document.getElementById('shares-list-section').classList.add('hidden');
+  
+  const sharer = canShare(currentList);
+  document.querySelector('.share-section-input').classList.toggle('hidden', !sharer);
+  document.getElementById('invite-links-section').classList.toggle('hidden', !sharer);
+  document.getElementById('invite-link-new').classList.add('hidden');
+  if (sharer) {
+    loadInviteLinks(currentList.id);
+  }
+  
+  document.getElementById('share-modal').classList.remove('hidden');
+}
+
+async function showShareListModal(listId) {
+  const list = savedLists.find(l => l.id === listId);
+  if (!list) return;
+  
+  currentList = list;
+  showShareModal();
+  
+  const originalHide = hideShareModal;
+  hideShareModal = function() {
+    originalHide();
+    hideShareModal = originalHide;
+  };
+}
+
+async function showListShares(listId) {
+  const token = await getSessionToken();
+  
+  try {
+    const response = await fetch(`${API_URL}/api/list/${listId}/shares`, {
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+    
+    const data = await response.json();
+    
+    const list = savedLists.find(l => l.id === listId);
+    currentList = list;
+    
+    document.getElementById('share-list-name').textContent = list.name;
+    document.getElementById('shares-list-section').classList.remove('hidden');
+    document.getElementById('share-section').classList.add('hidden');
+    
+    const sharesContainer = document.getElementById('shares-list-container');
+    
+    const invitations = data.invitations || [];
+    const sharer = canShare(list);
+    
+    if ((!data.shares || data.shares.length === 0) && invitations.length === 0) {
+      sharesContainer.innerHTML = '<p style="text-align: center; color: var(--text-muted); padding: 20px;">No collaborators yet</p>';
+    } else {
+      sharesContainer.innerHTML = (data.shares || []).map(share => `
+        <div class="share-item">
+          <div class="share-user-info">
+            ${share.picture ? `<img src="${escapeHtml(share.picture)}" class="share-avatar">` : '<div class="share-avatar-placeholder"></div>'}
+            <div>
+              <div class="share-user-name">${escapeHtml(share.name || share.email)}</div>
+              <div class="share-user-email">${escapeHtml(share.email)}</div>
+            </div>
+          </div>
+          ${sharer ? `
+          <div class="share-actions">
+            <select class="share-role-select" onchange="changeShareRole('${listId}', '${share.id}', this.value)" title="Role">
+              ${roleOptions(share.role)}
+            </select>
+            <button class="list-action-btn" onclick="removeShare('${listId}', '${share.id}')" title="Remove access">
+              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/></svg>
+            </button>
+          </div>
+          ` : `<span class="share-role">${roleLabel(share.role)}</span>`}
+        </div>
+      `).join('') + invitations.map(invitation => `
+        <div class="share-item">
+          <div class="share-user-info">
+            <div class="share-avatar-placeholder"></div>
+            <div>
+              <div class="share-user-name">${escapeHtml(invitation.email)}</div>
+              <div class="share-user-email">Invited as ${roleLabel(invitation.role).toLowerCase()}, gets access on first sign-in</div>
+            </div>
+          </div>
+          ${sharer ? `
+          <button class="list-action-btn" onclick="removeInvitation('${listId}', '${escapeHtml(invitation.email)}')" title="Cancel invitation">
+            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/></svg>
+          </button>
+          ` : ''}
+        </div>
+      `).join('');
+    }
+    
+    document.getElementById('share-modal').classList.remove('hidden');
+    
+    const originalHide = hideShareModal;
+    hideShareModal = function() {
+      document.getElementById('share-section').classList.remove('hidden');
+      document.getElementById('shares-list-section').classList.add('hidden');
+      originalHide();
+      hideShareModal = originalHide;
+    };
+    
+  } catch (err) {
+    alert('Error: ' + err.message);
+  }
+}
+
+function hideShareModal() {
+  document.getElementById('share-modal').classList.add('hidden');
+}
+
+function closeShareModal(event) {
+  if (event.target === event.currentTarget) {
+    hideShareModal();
+  }
+}
+
+async function shareListWithEmail() {
+  const email = document.getElementById('share-email').value.trim();
+  const role = document.getElementById('share-role').value;
+  
+  if (!email) {
+    alert('Please enter an email address');
+    return;
+  }
+  
+  if (!currentList || !canShare(currentList)) {
+    alert('Only owners and co-owners can share lists');
+    return;
+  }
+  
+  const token = await getSessionToken();
+  
+  try {
+    const response = await fetch(`${API_URL}/api/list/${currentList.id}/share`, {
+      method: 'POST',
+      headers: { 
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`
+      },
+      body: JSON.stringify({ email, role })
+    });
+    
+    const data = await response.json();
+    if (data.error) throw new Error(data.error);
+    
+    alert(data.invited
+      ? `Invited ${email}. They will get access when they first sign in.`
+      : `List shared with ${email}`);
+    document.getElementById('share-email').value = '';
+    
+    // Refresh shares
+    showListShares(currentList.id);
+  } catch (err) {
+    alert('Error: ' + err.message);
+  }
+}
+
+async function removeShare(listId, shareUserId) {
+  if (!confirm('Remove this user\'s access to the list?')) {
+    return;
+  }
+  
+  const token = await getSessionToken();
+  
+  try {
+    await fetch(`${API_URL}/api/list/${listId}/share/${shareUserId}`, {
+      method: 'DELETE',
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+    
+    // Refresh shares
+    showListShares(listId);
+  } catch (err) {
+    alert('Error: ' + err.message);
+  }
+}
+
+async function changeShareRole(listId, shareUserId, role) {
+  const token = await getSessionToken();
+  
+  try {
+    const response = await fetch(`${API_URL}/api/list/${listId}/share/${shareUserId}`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`
+      },
+      body: JSON.stringify({ role })
+    });
+    const data = await response.json();
+    if (data.error) throw new Error(data.error);
+  } catch (err) {
+    alert('Error: ' + err.message);
+    showListShares(listId);
+  }
+}
+
+// Invite links carry a secret token; the server only keeps its hash, so a
+// link can be copied when it is created and never again
+async function loadInviteLinks(listId) {
+  const container = document.getElementById('invite-links-container');
+  const token = await getSessionToken();
+  
+  try {
+    const response = await fetch(`${API_URL}/api/list/${listId}/invite-links`, {
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+    const data = await response.json();
+    if (data.error) throw new Error(data.error);
+    
+    container.innerHTML = data.links.map(link => `
+      <div class="share-item">
+        <div>
+          <div class="share-user-name">Link created ${formatActivityTime(link.createdAt)}</div>
+          <div class="share-user-email">${describeInviteLink(link)}</div>
+        </div>
+        <button class="list-action-btn" onclick="revokeInviteLink('${listId}', '${link.id}')" title="Revoke link">
+          <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/></svg>
+        </button>
+      </div>
+    `).join('');
+  } catch (err) {
+    container.innerHTML = '<p style="text-align: center; color: var(--text-muted); padding: 20px;">Invite links are only available online</p>';
+  }
+}
+
+function describeInviteLink(link) {
+  const uses = link.maxUses ? `${link.useCount} of ${link.maxUses} uses` : `${link.useCount} uses`;
+  let expiry = 'never expires';
+  if (link.expiresAt) {
+    expiry = new Date(link.expiresAt) < new Date() ? 'expired' : `expires ${formatActivityTime(link.expiresAt)}`;
+  }
+  return escapeHtml(`${roleLabel(link.role)}, ${uses}, ${expiry}`);
+}
+
+async function createInviteLink() {
+  if (!currentList) return;
+  
+  const role = document.getElementById('invite-link-role').value;
+  const expiry = document.getElementById('invite-link-expiry').value;
+  const maxUses = document.getElementById('invite-link-max-uses').value;
+  const token = await getSessionToken();
+  
+  try {
+    const response = await fetch(`${API_URL}/api/list/${currentList.id}/invite-links`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`
+      },
+      body: JSON.stringify({
+        role,
+        expiresInDays: expiry ? parseInt(expiry, 10) : null,
+        maxUses: maxUses ? parseInt(maxUses, 10) : null
+      })
+    });
+    const data = await response.json();
+    if (data.error) throw new Error(data.error);
+    
+    document.getElementById('invite-link-max-uses').value = '';
+    document.getElementById('invite-link-url').value = `${window.location.origin}/?invite=${encodeURIComponent(data.token)}`;
+    document.getElementById('invite-link-new').classList.remove('hidden');
+    loadInviteLinks(currentList.id);
+  } catch (err) {
+    alert('Error: ' + err.message);
+  }
+}
+
+async function copyInviteLink() {
+  const input = document.getElementById('invite-link-url');
+  try {
+    await navigator.clipboard.writeText(input.value);
+    showSyncStatus('Link copied', false);
+    setTimeout(hideSyncStatus, 1500);
+  } catch (e) {
+    input.focus();
+    alert('Copy the selected link to share it');
+  }
+}
+
+async function revokeInviteLink(listId, linkId) {
+  if (!confirm('Revoke this link? Nobody new will be able to join with it.')) {
+    return;
+  }
+  
+  const token = await getSessionToken();
+  
+  try {
+    await fetch(`${API_URL}/api/list/${listId}/invite-links/${linkId}`, {
+      method: 'DELETE',
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+    
+    loadInviteLinks(listId);
+  } catch (err) {
+    alert('Error: ' + err.message);
+  }
+}
+
+// Join the list behind an invite link opened before signing in, or just now
+async function acceptPendingInvite() {
+  const inviteToken = await localDB.getMeta('pendingInvite');
+  if (!inviteToken) return null;
+  
+  await localDB.setMeta('pendingInvite', null);
+  const token = await getSessionToken();
+  
+  try {
+    const response = await fetch(`${API_URL}/api/invite-links/accept`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`
+      },
+      body: JSON.stringify({ token: inviteToken })
+    });
+    const data = await response.json();
+    if (data.error) throw new Error(data.error);
+    return data.listId;
+  } catch (err) {
+    alert('Could not join the list: ' + err.message);
+    return null;
+  }
+}
+
+async function removeInvitation(listId, email) {
+  if (!confirm(`Cancel the invitation for ${email}?`)) {
+    return;
+  }
+  
+  const token = await getSessionToken();
+  
+  try {
+    await fetch(`${API_URL}/api/list/${listId}/invitations/${encodeURIComponent(email)}`, {
+      method: 'DELETE',
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+    
+    // Refresh shares
+    showListShares(listId);
+  } catch (err) {
+    alert('Error: ' + err.message);
+  }
+}
+
+function setupCategoryInput() {
+  const itemInput = document.getElementById('new-item');
+  const categorySelect = document.getElementById('category-select');
+  const newCategoryInput = document.getElementById('new-category');
+  const suggestionsContainer = document.getElementById('item-suggestions');
+  
+  itemInput.addEventListener('input', async (e) => {
+    const { text } = parseItemInput(e.target.value);
+    
+    // Show item name suggestions
+    if (text.length >= 2) {
+      const suggestions = await localDB.getItemSuggestions(currentList.id, text);
+      renderItemSuggestions(suggestions);
+    } else {
+      hideItemSuggestions();
+    }
+    
+    // Category suggestion on exact match
+    if (text.length > 2) {
+      const suggestedCategoryId = await localDB.suggestCategoryForItem(currentList.id, text);
+      if (suggestedCategoryId) {
+        categorySelect.value = suggestedCategoryId;
+      }
+    }
+  });
   
   // Hide suggestions when clicking outside
   document.addEventListener('click', (e) => {
@@ -737,7 +1342,9 @@ function selectItemSuggestion(text, categoryId) {
   const itemInput = document.getElementById('new-item');
   const categorySelect = document.getElementById('category-select');
   
-  itemInput.value = text;
+  // Keep any quantity already typed
+  const { quantity, unit } = parseItemInput(itemInput.value);
+  itemInput.value = quantity ? `${formatQuantity({ quantity, unit })} ${text}` : text;
   
   if (categoryId) {
     categorySelect.value = categoryId;
@@ -752,11 +1359,124 @@ function getCategoryName(categoryId) {
   return category ? category.name : '';
 }
 
+// Quantities
+
+// The server accepts quantities up to this
+const MAX_QUANTITY = 100000;
+
+// Units the add-item box recognises. Items store the key; count units are
+// shown in the plural for anything but one.
+const UNITS = {
+  g: { aliases: ['gram', 'grams', 'gr'] },
+  kg: { aliases: ['kgs', 'kilo', 'kilos', 'kilogram', 'kilograms'] },
+  ml: { aliases: ['millilitre', 'millilitres', 'milliliter', 'milliliters'] },
+  cl: {},
+  l: { aliases: ['ltr', 'litre', 'litres', 'liter', 'liters'] },
+  oz: { aliases: ['ounce', 'ounces'] },
+  lb: { aliases: ['lbs', 'pound', 'pounds'] },
+  tsp: {},
+  tbsp: {},
+  cup: { plural: 'cups' },
+  pack: { plural: 'packs', aliases: ['packet', 'packets'] },
+  can: { plural: 'cans' },
+  tin: { plural: 'tins' },
+  bottle: { plural: 'bottles' },
+  jar: { plural: 'jars' },
+  bag: { plural: 'bags' },
+  box: { plural: 'boxes' },
+  bunch: { plural: 'bunches' },
+  loaf: { plural: 'loaves' },
+  dozen: {}
+};
+
+const UNIT_NAMES = new Map(Object.entries(UNITS).flatMap(([unit, { plural, aliases = [] }]) =>
+  [unit, ...(plural ? [plural] : []), ...aliases].map(name => [name, unit])
+));
+
+const QUANTITY_PATTERNS = [
+  // 2x milk, 2 x milk
+  [/^(\d+(?:[.,]\d+)?)\s*x\s+(.+)$/i, m => [m[2], m[1], null]],
+  // milk x2, milk x 2
+  [/^(.+?)\s+x\s*(\d+(?:[.,]\d+)?)$/i, m => [m[1], m[2], null]],
+  // 500 g flour, 1.5kg potatoes, 3 cans of beans
+  [/^(\d+(?:[.,]\d+)?)\s*([a-z]+)\.?\s+(?:of\s+)?(.+)$/i, m => UNIT_NAMES.has(m[2].toLowerCase()) && [m[3], m[1], m[2]]],
+  // flour 500g
+  [/^(.+?)\s+(\d+(?:[.,]\d+)?)\s*([a-z]+)\.?$/i, m => UNIT_NAMES.has(m[3].toLowerCase()) && [m[1], m[2], m[3]]],
+  // 6 eggs (but not "2 kg" on its own)
+  [/^(\d+(?:[.,]\d+)?)\s+(.+)$/, m => !UNIT_NAMES.has(m[2].toLowerCase()) && [m[2], m[1], null]]
+];
+
+// Split what was typed into { text, quantity, unit }. Anything that does
+// not look like a quantity stays part of the text.
+function parseItemInput(input) {
+  const value = input.trim();
+  
+  for (const [pattern, extract] of QUANTITY_PATTERNS) {
+    const match = value.match(pattern);
+    const parts = match && extract(match);
+    if (!parts) continue;
+    
+    const [text, number, unit] = parts;
+    const quantity = parseFloat(number.replace(',', '.'));
+    if (text.trim() && quantity > 0 && quantity <= MAX_QUANTITY) {
+      return { text: text.trim(), quantity, unit: unit ? UNIT_NAMES.get(unit.toLowerCase()) : null };
+    }
+  }
+  
+  return { text: value, quantity: null, unit: null };
+}
+
+// "500 g", "2 cans", "3"
+function formatQuantity({ quantity, unit }) {
+  const amount = String(Math.round(quantity * 1000) / 1000);
+  if (!unit) return amount;
+  const label = quantity !== 1 && UNITS[unit]?.plural ? UNITS[unit].plural : unit;
+  return `${amount} ${label}`;
+}
+
+// Grams and millilitres go up and down in hundreds, everything else by one
+function quantityStep(item) {
+  return item.unit === 'g' || item.unit === 'ml' ? 100 : 1;
+}
+
+function renderItemQuantity(item, editable) {
+  if (!editable) {
+    return item.quantity ? `<span class="item-quantity-value">${escapeHtml(formatQuantity(item))}</span>` : '';
+  }
+  
+  // An item without a quantity counts as one
+  const quantity = item.quantity ?? 1;
+  return `
+    <span class="item-quantity">
+      <button class="item-quantity-btn" onclick="changeQuantity('${item.id}', -1)" ${quantity <= quantityStep(item) ? 'disabled' : ''} title="Less">−</button>
+      <span class="item-quantity-value ${item.quantity ? '' : 'implied'}">${escapeHtml(formatQuantity({ quantity, unit: item.unit }))}</span>
+      <button class="item-quantity-btn" onclick="changeQuantity('${item.id}', 1)" title="More">+</button>
+    </span>
+  `;
+}
+
+async function changeQuantity(id, direction) {
+  const items = await localDB.getItems(currentList.id);
+  const item = items.find(i => i.id === id);
+  if (!item) return;
+  
+  const quantity = Math.round(((item.quantity ?? 1) + direction * quantityStep(item)) * 1000) / 1000;
+  if (quantity <= 0 || quantity > MAX_QUANTITY) return;
+  
+  await updateItemFields(item, { quantity });
+  
+  await renderItems();
+  
+  if (navigator.onLine) {
+    syncNow();
+  }
+}
+
 async function addItem(event) {
   event.preventDefault();
   
   const input = document.getElementById('new-item');
-  const text = input.value.trim();
+  const { text, quantity, unit } = parseItemInput(input.value);
   if (!text) return;
   
   const categorySelect = document.getElementById('category-select');
@@ -779,7 +1499,7 @@ async function addItem(event) {
       return;
     }
     
-    const existing = await localDB.getCategoryByName(newName);
+    const existing = await localDB.getCategoryByName(currentList.id, newName);
     if (existing) {
       categoryId = existing.id;
     } else {
@@ -787,19 +1507,23 @@ async function addItem(event) {
       const maxOrder = categories.length > 0 ? Math.max(...categories.map(c => c.sortOrder)) : -1;
       const timestamp = new Date().toISOString();
       
+      const fields = { name: newName, sortOrder: maxOrder + 1 };
+      const versions = newFieldVersions(fields);
       const newCategory = {
         id: categoryId,
-        name: newName,
-        sortOrder: maxOrder + 1,
+        listId: currentList.id,
+        ...fields,
+        fieldVersions: versions,
         updatedAt: timestamp
       };
       
       await localDB.saveCategory(newCategory);
-      await localDB.queueChange({
+      await queueChange({
         type: 'category_add',
+        listId: currentList.id,
         id: categoryId,
-        name: newName,
-        sortOrder: maxOrder + 1,
+        fields,
+        versions,
         timestamp
       });
       
@@ -813,21 +1537,29 @@ async function addItem(event) {
     newCategoryInput.classList.add('hidden');
   }
   
-  const item = {
-    id: generateId(),
+  const fields = {
     text,
+    quantity,
+    unit,
     categoryId: categoryId || null,
-    completed: false,
+    completed: false
+  };
+  const versions = newFieldVersions(fields);
+  const item = {
+    id: generateId(),
+    listId: currentList.id,
+    ...fields,
+    fieldVersions: versions,
     updatedAt: new Date().toISOString()
   };
   
   await localDB.saveItem(item);
-  await localDB.queueChange({
+  await queueChange({
     type: 'add',
+    listId: item.listId,
     id: item.id,
-    categoryId,
-    text: item.text,
-    completed: item.completed,
+    fields,
+    versions,
     timestamp: item.updatedAt
   });
   
@@ -841,22 +1573,11 @@ async function addItem(event) {
 }
 
 async function toggleItem(id) {
-  const items = await localDB.getItems();
+  const items = await localDB.getItems(currentList.id);
   const item = items.find(i => i.id === id);
   if (!item) return;
   
-  item.completed = !item.completed;
-  item.updatedAt = new Date().toISOString();
-  
-  await localDB.saveItem(item);
-  await localDB.queueChange({
-    type: 'update',
-    id: item.id,
-    categoryId: item.categoryId,
-    text: item.text,
-    completed: item.completed,
-    timestamp: item.updatedAt
-  });
+  await updateItemFields(item, { completed: !item.completed });
   
   await renderItems();
   
@@ -865,15 +1586,49 @@ async function toggleItem(id) {
   }
 }
 
+// Save an edit locally and queue only the fields that changed, each with a
+// fresh version, so it merges with concurrent edits to other fields
+async function updateItemFields(item, fields) {
+  const timestamp = new Date().toISOString();
+  const versions = newFieldVersions(fields);
+  
+  await localDB.saveItem({
+    ...item,
+    ...fields,
+    fieldVersions: { ...(item.fieldVersions || {}), ...versions },
+    updatedAt: timestamp
+  });
+  await queueChange({
+    type: 'update',
+    listId: item.listId,
+    id: item.id,
+    fields,
+    versions,
+    timestamp
+  });
+}
+
+// Versions compare as strings: edit time first, device id as the tie-break
+function newFieldVersion() {
+  return `${new Date().toISOString()}#${deviceId}`;
+}
+
+function newFieldVersions(fields) {
+  const version = newFieldVersion();
+  return Object.fromEntries(Object.keys(fields).map(field => [field, version]));
+}
+
 async function deleteItem(id) {
-  const item = await localDB.getItem(id);
+  const listId = currentList.id;
   await localDB.saveItem({
     id,
+    listId,
     deleted: true,
     updatedAt: new Date().toISOString()
   });
-  await localDB.queueChange({
+  await queueChange({
     type: 'delete',
+    listId,
     id,
     timestamp: new Date().toISOString()
   });
@@ -885,9 +1640,10 @@ async function deleteItem(id) {
   }
 }
 
+// Recurring items stay, since they come back when due
 async function clearCompletedItems() {
-  const items = await localDB.getItems();
-  const completedItems = items.filter(item => item.completed);
+  const items = await localDB.getItems(currentList.id);
+  const completedItems = items.filter(item => item.completed && !item.recurrence);
   
   if (completedItems.length === 0) {
     return;
@@ -902,11 +1658,13 @@ async function clearCompletedItems() {
   for (const item of completedItems) {
     await localDB.saveItem({
       id: item.id,
+      listId: item.listId,
       deleted: true,
       updatedAt: timestamp
     });
-    await localDB.queueChange({
+    await queueChange({
       type: 'delete',
+      listId: item.listId,
       id: item.id,
       timestamp
     });
@@ -921,17 +1679,20 @@ async function clearCompletedItems() {
 
 async function loadData() {
   document.getElementById('list-title').textContent = currentList.name;
-  document.getElementById('list-info').textContent = currentList.access === 'owner' ? 'Owner' : 'Collaborator';
-  categories = await localDB.getCategories();
+  document.getElementById('list-info').textContent = roleLabel(currentList.access);
+  document.body.classList.toggle('read-only', !canEdit(currentList));
+  categories = await localDB.getCategories(currentList.id);
   await renderItems();
   updateCategoryDropdown();
 }
 
 async function renderItems() {
-  const items = await localDB.getItems();
+  const items = await localDB.getItems(currentList.id);
   const container = document.getElementById('items-container');
   const empty = document.getElementById('empty-state');
   
+  renderListTotal(items);
+  
   if (items.length === 0) {
     container.innerHTML = '';
     empty.classList.remove('hidden');
@@ -940,6 +1701,9 @@ async function renderItems() {
   
   empty.classList.add('hidden');
   
+  // Viewers see the list as it is, with nothing to tick, delete or drag
+  const editable = canEdit(currentList);
+  
   const itemsByCategory = {};
   categories.forEach(cat => {
     itemsByCategory[cat.id] = { category: cat, items: [] };
@@ -967,15 +1731,20 @@ async function renderItems() {
     .filter(group => group.items.length > 0)
     .sort((a, b) => a.category.sortOrder - b.category.sortOrder);
   
+  // A re-render (say, from a live update) keeps notes or a price being typed
+  const editing = document.activeElement?.closest('.item-details') ? document.activeElement : null;
+  const draft = editing ? { id: editing.id, value: editing.value } : null;
+  
   container.innerHTML = sortedCategories.map((group, index) => `
     <div class="category-group ${group.category.id === null ? 'uncategorized' : ''}" 
          data-category-id="${group.category.id || 'null'}"
-         draggable="true">
+         draggable="${editable}">
       <div class="category-header">
-        <span class="drag-handle">⋮⋮</span>
+        ${editable ? '<span class="drag-handle">⋮⋮</span>' : ''}
         <span class="category-name">${escapeHtml(group.category.name)}</span>
         <span class="category-count">(${group.items.length})</span>
-        ${group.category.id !== null && group.category.id !== 'null' ? `
+        ${group.items.some(item => item.price != null) ? `<span class="category-total">${formatPrice(sumPrices(group.items))}</span>` : ''}
+        ${editable && group.category.id !== null && group.category.id !== 'null' ? `
           <button class="category-delete" onclick="deleteCategory('${group.category.id}')" title="Delete category">
             <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/></svg>
           </button>
@@ -984,21 +1753,37 @@ async function renderItems() {
       <ul class="category-items">
         ${group.items.map(item => `
           <li class="item ${item.completed ? 'completed' : ''}">
-            <div class="item-checkbox" onclick="toggleItem('${item.id}')"></div>
-            <span class="item-text">${escapeHtml(item.text)}</span>
+            <div class="item-checkbox" ${editable ? `onclick="toggleItem('${item.id}')"` : ''}></div>
+            <span class="item-text" onclick="toggleItemDetails('${item.id}')">
+              ${escapeHtml(item.text)}
+              ${item.notes ? '<span class="item-notes-marker" title="Has notes">✎</span>' : ''}
+            </span>
+            ${item.price != null ? `<span class="item-price">${formatPrice(item.price)}</span>` : ''}
+            ${renderItemQuantity(item, editable)}
+            ${renderItemRecurrence(item, editable)}
+            ${editable ? `
             <button class="item-delete" onclick="deleteItem('${item.id}')">
               <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/></svg>
             </button>
+            ` : ''}
           </li>
+          ${expandedItemIds.has(item.id) ? renderItemDetails(item, editable) : ''}
         `).join('')}
       </ul>
     </div>
   `).join('');
   
-  if (typeof Sortable !== 'undefined') {
-    if (sortableInstance) {
-      sortableInstance.destroy();
-    }
+  if (draft && document.getElementById(draft.id)) {
+    document.getElementById(draft.id).value = draft.value;
+    document.getElementById(draft.id).focus();
+  }
+  
+  if (sortableInstance) {
+    sortableInstance.destroy();
+    sortableInstance = null;
+  }
+  
+  if (typeof Sortable !== 'undefined' && editable) {
     sortableInstance = new Sortable(container, {
       animation: 150,
       handle: '.category-header',
@@ -1011,6 +1796,221 @@ async function renderItems() {
   }
 }
 
+function renderItemRecurrence(item, editable) {
+  if (!item.recurrence && !editable) return '';
+  
+  const label = item.recurrence ? escapeHtml(describeRecurrence(item.recurrence, item)) : '';
+  if (!editable) {
+    return `<span class="item-recurrence active">${label}</span>`;
+  }
+  return `
+    <button class="item-recurrence ${item.recurrence ? 'active' : ''}" onclick="showRecurrenceModal('${item.id}')" title="Repeat">
+      <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="17 1 21 5 17 9"/><path d="M3 11V9a4 4 0 0 1 4-4h14"/><polyline points="7 23 3 19 7 15"/><path d="M21 13v2a4 4 0 0 1-4 4H3"/></svg>
+      ${label}
+    </button>
+  `;
+}
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// "Every 3 days", or for a completed item, when it comes back
+function describeRecurrence(recurrence, item = null) {
+  const every = recurrence.type === 'weekly'
+    ? `Every ${WEEKDAYS[recurrence.weekday]}`
+    : recurrence.interval === 1 ? 'Every day' : `Every ${recurrence.interval} days`;
+  
+  const dueAt = item && item.completed ? recurrenceDueAt(recurrence, item) : null;
+  if (!dueAt) return every;
+  return `${every} · back ${dueAt.toLocaleDateString([], { weekday: 'short', day: 'numeric', month: 'short' })}`;
+}
+
+// Same rule as the server: `interval` UTC days after the day it was
+// completed, or the first matching weekday after it
+function recurrenceDueAt(recurrence, item) {
+  const completedAt = new Date(String(item.fieldVersions?.completed || '').split('#')[0]);
+  if (Number.isNaN(completedAt.getTime())) return null;
+  
+  const day = new Date(Date.UTC(completedAt.getUTCFullYear(), completedAt.getUTCMonth(), completedAt.getUTCDate()));
+  const days = recurrence.type === 'weekly'
+    ? ((recurrence.weekday - day.getUTCDay() + 6) % 7) + 1
+    : recurrence.interval;
+  day.setUTCDate(day.getUTCDate() + days);
+  return day;
+}
+
+let recurrenceItemId = null;
+
+async function showRecurrenceModal(itemId) {
+  const items = await localDB.getItems(currentList.id);
+  const item = items.find(i => i.id === itemId);
+  if (!item) return;
+  
+  const recurrence = item.recurrence || { type: '' };
+  recurrenceItemId = itemId;
+  document.getElementById('recurrence-item-name').textContent = item.text;
+  document.getElementById('recurrence-type').value = recurrence.type;
+  document.getElementById('recurrence-interval').value = recurrence.interval || 7;
+  document.getElementById('recurrence-weekday').value = recurrence.weekday ?? new Date().getDay();
+  updateRecurrenceInputs();
+  document.getElementById('recurrence-modal').classList.remove('hidden');
+}
+
+function updateRecurrenceInputs() {
+  const type = document.getElementById('recurrence-type').value;
+  document.getElementById('recurrence-interval-row').classList.toggle('hidden', type !== 'days');
+  document.getElementById('recurrence-weekday').classList.toggle('hidden', type !== 'weekly');
+}
+
+function hideRecurrenceModal() {
+  recurrenceItemId = null;
+  document.getElementById('recurrence-modal').classList.add('hidden');
+}
+
+function closeRecurrenceModal(event) {
+  if (event.target === event.currentTarget) {
+    hideRecurrenceModal();
+  }
+}
+
+async function saveRecurrence() {
+  const items = await localDB.getItems(currentList.id);
+  const item = items.find(i => i.id === recurrenceItemId);
+  if (!item) return;
+  
+  const type = document.getElementById('recurrence-type').value;
+  let recurrence = null;
+  if (type === 'days') {
+    const interval = parseInt(document.getElementById('recurrence-interval').value, 10);
+    if (!(interval >= 1 && interval <= 365)) {
+      alert('Please enter a number of days between 1 and 365');
+      return;
+    }
+    recurrence = { type, interval };
+  } else if (type === 'weekly') {
+    recurrence = { type, weekday: parseInt(document.getElementById('recurrence-weekday').value, 10) };
+  }
+  
+  hideRecurrenceModal();
+  if (JSON.stringify(recurrence) === JSON.stringify(item.recurrence || null)) return;
+  
+  await updateItemFields(item, { recurrence });
+  await renderItems();
+  
+  if (navigator.onLine) {
+    syncNow();
+  }
+}
+
+// Notes and prices
+
+// The server accepts prices and budgets up to this
+const MAX_PRICE = 1000000;
+
+async function toggleItemDetails(itemId) {
+  if (expandedItemIds.has(itemId)) {
+    expandedItemIds.delete(itemId);
+  } else {
+    expandedItemIds.add(itemId);
+  }
+  await renderItems();
+}
+
+function renderItemDetails(item, editable) {
+  if (!editable) {
+    return `
+      <li class="item-details">
+        <p class="item-notes-text">${item.notes ? escapeHtml(item.notes) : 'No notes'}</p>
+        ${item.price != null ? `<p class="item-notes-text">Estimated price: ${formatPrice(item.price)}</p>` : ''}
+      </li>
+    `;
+  }
+  
+  return `
+    <li class="item-details">
+      <textarea id="notes-${item.id}" placeholder="Notes, e.g. the organic one" maxlength="1000"
+                onchange="saveItemDetails('${item.id}')">${escapeHtml(item.notes || '')}</textarea>
+      <input type="number" id="price-${item.id}" placeholder="Estimated price" min="0" step="0.01"
+             value="${item.price ?? ''}" onchange="saveItemDetails('${item.id}')">
+    </li>
+  `;
+}
+
+async function saveItemDetails(itemId) {
+  const items = await localDB.getItems(currentList.id);
+  const item = items.find(i => i.id === itemId);
+  if (!item) return;
+  
+  const notes = document.getElementById(`notes-${itemId}`).value.trim() || null;
+  const priceValue = document.getElementById(`price-${itemId}`).value.trim();
+  const price = priceValue === '' ? null : Math.round(parseFloat(priceValue) * 100) / 100;
+  if (price !== null && !(price >= 0 && price <= MAX_PRICE)) {
+    alert('Please enter a price between 0 and ' + MAX_PRICE);
+    return;
+  }
+  
+  const fields = {};
+  if (notes !== (item.notes ?? null)) fields.notes = notes;
+  if (price !== (item.price ?? null)) fields.price = price;
+  if (Object.keys(fields).length === 0) return;
+  
+  await updateItemFields(item, fields);
+  await renderItems();
+  
+  if (navigator.onLine) {
+    syncNow();
+  }
+}
+
+// Prices are for the whole line (all of its quantity), ticked or not
+function sumPrices(items) {
+  return items.reduce((total, item) => total + (item.price || 0), 0);
+}
+
+function formatPrice(amount) {
+  return amount.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+// The estimated total next to the list info, against the budget if the
+// owner set one. Hidden until something has a price or there is a budget.
+function renderListTotal(items) {
+  const element = document.getElementById('list-total');
+  const budget = currentList.budget ?? null;
+  const hasPrices = items.some(item => item.price != null);
+  const total = sumPrices(items);
+  const overBudget = budget !== null && total > budget;
+  
+  element.classList.toggle('hidden', !hasPrices && budget === null);
+  element.classList.toggle('over-budget', overBudget);
+  element.disabled = currentList.access !== 'owner';
+  element.title = currentList.access === 'owner' ? 'Set budget' : '';
+  
+  if (budget === null) {
+    element.textContent = `Total ${formatPrice(total)}`;
+  } else if (overBudget) {
+    element.textContent = `Total ${formatPrice(total)} · ${formatPrice(total - budget)} over budget`;
+  } else {
+    element.textContent = `Total ${formatPrice(total)} of ${formatPrice(budget)}`;
+  }
+}
+
+// The budget is shared, so only the owner sets it
+async function setListBudget() {
+  if (!currentList || currentList.access !== 'owner') return;
+  
+  const current = currentList.budget ?? null;
+  const answer = prompt('Budget for this list (leave empty for none)', current === null ? '' : String(current));
+  if (answer === null) return;
+  
+  const budget = answer.trim() === '' ? null : Math.round(parseFloat(answer.replace(',', '.')) * 100) / 100;
+  if (budget !== null && !(budget >= 0 && budget <= MAX_PRICE)) {
+    alert('Please enter a budget between 0 and ' + MAX_PRICE);
+    return;
+  }
+  if (budget === current) return;
+  
+  await updateList(currentList.id, { budget });
+}
+
 async function deleteCategory(categoryId) {
   if (!confirm('Delete this category? Items will be moved to Uncategorized.')) {
     return;
@@ -1027,25 +2027,16 @@ async function deleteCategory(categoryId) {
     updatedAt: timestamp
   });
   
-  const items = await localDB.getItems();
+  const items = await localDB.getItems(currentList.id);
   for (const item of items) {
     if (item.categoryId === categoryId) {
-      item.categoryId = null;
-      item.updatedAt = timestamp;
-      await localDB.saveItem(item);
-      await localDB.queueChange({
-        type: 'update',
-        id: item.id,
-        categoryId: null,
-        text: item.text,
-        completed: item.completed,
-        timestamp
-      });
+      await updateItemFields(item, { categoryId: null });
     }
   }
   
-  await localDB.queueChange({
+  await queueChange({
     type: 'category_delete',
+    listId: currentList.id,
     id: categoryId,
     timestamp
   });
@@ -1088,145 +2079,188 @@ function updateCategoryDropdown() {
 
 async function reorderCategories(fromId, toId) {
   const container = document.getElementById('items-container');
-  const groups = Array.from(container.querySelectorAll('.category-group'));
+  const order = Array.from(container.querySelectorAll('.category-group'))
+    .map(g => g.dataset.categoryId)
+    .filter(id => id !== 'null');
   
   const timestamp = new Date().toISOString();
-  const categoryChanges = [];
+  const version = newFieldVersion();
+  let changed = false;
   
-  for (let i = 0; i < groups.length; i++) {
-    const catId = groups[i].dataset.categoryId;
-    if (catId === 'null') continue;
-    
-    const category = categories.find(c => c.id === catId);
+  for (let i = 0; i < order.length; i++) {
+    const category = categories.find(c => c.id === order[i]);
     if (category && category.sortOrder !== i) {
       category.sortOrder = i;
+      category.fieldVersions = { ...(category.fieldVersions || {}), sortOrder: version };
       await localDB.saveCategory(category);
-      categoryChanges.push({
-        type: 'category_update',
-        id: catId,
-        name: category.name,
-        sortOrder: i,
-        timestamp
-      });
+      changed = true;
     }
   }
   
-  if (categoryChanges.length > 0) {
-    await localDB.queueChange({
+  if (changed) {
+    await queueChange({
       type: 'category_order',
-      order: groups.map(g => g.dataset.categoryId).filter(id => id !== 'null'),
+      listId: currentList.id,
+      order,
+      version,
       timestamp
     });
     
-    categories.sort((a, b) => a.sortOrder - b.sortOrder);
-    await renderItems();
+    categories.sort((a, b) => a.sortOrder - b.sortOrder);
+    await renderItems();
+    
+    if (navigator.onLine) {
+      syncNow();
+    }
+  }
+}
+
+// Poll every 10 seconds, or only as a safety net while the live socket is open
+const POLL_INTERVAL = 10000;
+const LIVE_POLL_INTERVAL = 60000;
+
+function startSync() {
+  setPollInterval(POLL_INTERVAL);
+  syncNow({ allLists: true });
+  connectLive();
+}
+
+function stopSync() {
+  if (syncInterval) clearInterval(syncInterval);
+  syncInterval = null;
+  disconnectLive();
+}
+
+function setPollInterval(interval) {
+  if (syncInterval) clearInterval(syncInterval);
+  syncInterval = setInterval(() => syncNow({ allLists: true }), interval);
+}
+
+// Live updates: collaborators' changes arrive over a WebSocket as soon as the
+// server applies them. Polling takes over whenever the socket is down.
+async function connectLive() {
+  disconnectLive();
+  if (!currentList || !navigator.onLine || !('WebSocket' in window)) return;
+  
+  const listId = currentList.id;
+  const token = await getSessionToken();
+  const url = new URL(`/api/list/${listId}/live`, API_URL);
+  url.protocol = url.protocol === 'https:' ? 'wss:' : 'ws:';
+  url.searchParams.set('token', token);
+  url.searchParams.set('deviceId', deviceId);
+  
+  const isReconnect = liveRetryDelay > 1000;
+  const socket = new WebSocket(url);
+  liveSocket = socket;
+  
+  socket.onopen = () => {
+    liveRetryDelay = 1000;
+    setPollInterval(LIVE_POLL_INTERVAL);
+    livePingInterval = setInterval(() => socket.send('ping'), 30000);
+    // Catch up on anything missed while disconnected
+    if (isReconnect) syncNow();
+  };
+  
+  socket.onmessage = (event) => handleLiveMessage(listId, event.data);
+  
+  socket.onclose = (event) => {
+    // Closed on purpose by disconnectLive()
+    if (liveSocket !== socket) return;
+    
+    liveSocket = null;
+    clearInterval(livePingInterval);
+    setPollInterval(POLL_INTERVAL);
+    
+    // Access was revoked - polling will surface the error
+    if (event.code === 4003) return;
+    
+    liveRetryTimer = setTimeout(connectLive, liveRetryDelay);
+    liveRetryDelay = Math.min(liveRetryDelay * 2, 60000);
+  };
+}
+
+function disconnectLive() {
+  clearTimeout(liveRetryTimer);
+  clearInterval(livePingInterval);
+  liveRetryTimer = null;
+  
+  if (liveSocket) {
+    const socket = liveSocket;
+    liveSocket = null;
+    socket.close();
+  }
+}
+
+async function handleLiveMessage(listId, data) {
+  if (data === 'pong') return;
+  
+  try {
+    const message = JSON.parse(data);
+    if (message.listId !== listId) return;
+    
+    if (message.type === 'list') {
+      await applyListInfo(listId, message);
+      return;
+    }
+    if (message.type !== 'changes') return;
     
-    if (navigator.onLine) {
-      syncNow();
+    await applyServerChanges(listId, message);
+    
+    if (currentList && currentList.id === listId) {
+      categories = await localDB.getCategories(listId);
+      await renderItems();
+      updateCategoryDropdown();
     }
+  } catch (err) {
+    console.error('Live update failed:', err);
   }
 }
 
-function startSync() {
-  if (syncInterval) clearInterval(syncInterval);
-  syncInterval = setInterval(syncNow, 10000);
-  syncNow();
-}
-
-async function syncNow() {
+// Sync the current list, or with allLists every saved list in one request
+// so the switcher stays fresh and queued changes for other lists go out
+async function syncNow({ allLists = false } = {}) {
   if (!currentList || !navigator.onLine) return;
   
+  // The user may switch lists while the request is in flight
+  const listId = currentList.id;
+  const listIds = allLists ? savedLists.map(l => l.id) : [];
+  if (!listIds.includes(listId)) listIds.push(listId);
+  
   showSyncStatus('Syncing...', false);
   
-  const token = await localDB.getAuthToken();
+  const token = await getSessionToken();
   
   try {
-    const pending = await localDB.getPendingChanges();
-    const lastSync = await localDB.getMeta('lastSync') || '1970-01-01';
-    
-    const itemChanges = pending.filter(p => !p.type.startsWith('category_'));
-    const categoryChanges = pending
-      .filter(p => p.type.startsWith('category_') && p.type !== 'category_order')
-      .map(c => ({
-        type: c.type.replace('category_', ''),
-        id: c.id,
-        name: c.name,
-        sortOrder: c.sortOrder,
-        timestamp: c.timestamp
-      }));
-    
-    const orderChange = pending
-      .filter(p => p.type === 'category_order')
-      .pop();
-    
-    const response = await fetch(`${API_URL}/api/list/${currentList.id}/sync`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${token}`
-      },
-      body: JSON.stringify({ 
-        itemChanges, 
-        categoryChanges, 
-        categoryOrder: orderChange ? orderChange.order : null,
-        lastSync 
-      })
-    });
-    
-    const data = await response.json();
-    if (data.error) throw new Error(data.error);
+    const outcomes = await syncLists(listIds, token, deviceId);
     
-    for (const change of data.itemChanges) {
-      if (change.type === 'delete') {
-        await localDB.deleteItem(change.id);
-      } else {
-        const existingItem = await localDB.getItem(change.id);
-        const categoryId = change.categoryId !== null && change.categoryId !== undefined 
-          ? change.categoryId 
-          : (existingItem ? existingItem.categoryId : null);
-        
-        await localDB.saveItem({
-          id: change.id,
-          categoryId: categoryId,
-          text: change.text,
-          completed: change.completed,
-          updatedAt: change.timestamp
-        });
+    for (const [id, outcome] of Object.entries(outcomes)) {
+      if (isListGone(outcome.code)) {
+        await applyListInfo(id, { deleted: true, removed: outcome.code === 'no_list_access' });
+      } else if (outcome.list) {
+        await applyListInfo(id, outcome.list);
       }
     }
     
-    for (const change of data.categoryChanges) {
-      if (change.type === 'delete') {
-        await localDB.deleteCategory(change.id);
-      } else {
-        await localDB.saveCategory({
-          id: change.id,
-          name: change.name,
-          sortOrder: change.sortOrder,
-          updatedAt: change.timestamp
-        });
-      }
+    if (currentList && currentList.id === listId) {
+      categories = await localDB.getCategories(listId);
+      await renderItems();
+      updateCategoryDropdown();
     }
-    
-    if (data.categoryOrder) {
-      for (let i = 0; i < data.categoryOrder.length; i++) {
-        const cat = categories.find(c => c.id === data.categoryOrder[i]);
-        if (cat) {
-          cat.sortOrder = i;
-          await localDB.saveCategory(cat);
-        }
-      }
+    if (!document.getElementById('list-switcher-modal').classList.contains('hidden')) {
+      renderSavedLists();
     }
     
-    categories = await localDB.getCategories();
-    
-    await localDB.clearPendingChanges();
-    await localDB.setMeta('lastSync', data.timestamp);
-    
-    await renderItems();
-    updateCategoryDropdown();
+    if (outcomes[listId]?.error && !isListGone(outcomes[listId].code)) {
+      throw new Error(outcomes[listId].error);
+    }
     
-    setTimeout(() => hideSyncStatus(), 1000);
+    const rejected = Object.values(outcomes).flatMap(outcome => outcome.rejected);
+    if (rejected.length > 0) {
+      showSyncStatus(`${rejected.length} change${rejected.length === 1 ? '' : 's'} rejected: ${rejected[0].reason}`, true);
+      setTimeout(() => hideSyncStatus(), 5000);
+    } else {
+      setTimeout(() => hideSyncStatus(), 1000);
+    }
   } catch (err) {
     console.error('Sync failed:', err);
     showSyncStatus('Sync failed', true);
@@ -1234,6 +2268,26 @@ async function syncNow() {
   }
 }
 
+// Queue a change for the server. Background sync lets the service worker
+// deliver it even if the app is closed before the next sync.
+async function queueChange(change) {
+  await localDB.queueChange(change);
+  requestBackgroundSync();
+}
+
+async function requestBackgroundSync() {
+  if (!('serviceWorker' in navigator)) return;
+  
+  try {
+    const registration = await navigator.serviceWorker.ready;
+    if (registration.sync) {
+      await registration.sync.register('sync-shopping-list');
+    }
+  } catch (err) {
+    console.warn('Background sync unavailable:', err);
+  }
+}
+
 function showSyncStatus(text, isOffline) {
   const indicator = document.getElementById('sync-indicator');
   indicator.textContent = text;
@@ -1307,6 +2361,205 @@ function showSettingsModal() {
     const radio = option.querySelector('input');
     radio.onchange = (e) => setTheme(e.target.value);
   });
+  
+  loadSessions();
+  loadApiTokens();
+  loadTemplates();
+}
+
+// Every device signed in to this account, each with its own revocable session
+async function loadSessions() {
+  const container = document.getElementById('sessions-container');
+  const token = await getSessionToken();
+  
+  try {
+    const response = await fetch(`${API_URL}/api/auth/sessions`, {
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+    const data = await response.json();
+    if (data.error) throw new Error(data.error);
+    
+    container.innerHTML = data.sessions.map(session => `
+      <div class="share-item">
+        <div>
+          <div class="share-user-name">${escapeHtml(session.deviceName)}${session.current ? ' (this device)' : ''}</div>
+          <div class="share-user-email">Last used ${formatActivityTime(session.lastUsedAt)}</div>
+        </div>
+        <button class="list-action-btn" onclick="revokeSession('${session.id}', ${session.current})" title="Sign out device">
+          <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/></svg>
+        </button>
+      </div>
+    `).join('');
+  } catch (err) {
+    container.innerHTML = '<p style="text-align: center; color: var(--text-muted); padding: 20px;">Devices are only available online</p>';
+  }
+}
+
+async function revokeSession(sessionId, current) {
+  if (current) {
+    if (confirm('Sign out of this device?')) {
+      hideSettingsModal();
+      await signOut();
+    }
+    return;
+  }
+  
+  if (!confirm('Sign out this device?')) {
+    return;
+  }
+  
+  const token = await getSessionToken();
+  
+  try {
+    await fetch(`${API_URL}/api/auth/sessions/${sessionId}`, {
+      method: 'DELETE',
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+    
+    loadSessions();
+  } catch (err) {
+    alert('Error: ' + err.message);
+  }
+}
+
+// Personal API tokens for scripts. The secret only exists in the create
+// response, so it is shown once and never stored here.
+async function loadApiTokens() {
+  const container = document.getElementById('api-tokens-container');
+  document.getElementById('api-token-secret').classList.add('hidden');
+  document.getElementById('api-token-lists').innerHTML = savedLists.map(list => `
+    <label><input type="checkbox" value="${list.id}">${escapeHtml(list.name)}</label>
+  `).join('');
+  
+  const token = await getSessionToken();
+  
+  try {
+    const response = await fetch(`${API_URL}/api/tokens`, {
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+    const data = await response.json();
+    if (data.error) throw new Error(data.error);
+    
+    container.innerHTML = data.tokens.map(apiToken => `
+      <div class="share-item">
+        <div>
+          <div class="share-user-name">${escapeHtml(apiToken.name)}</div>
+          <div class="share-user-email">${describeApiToken(apiToken)}</div>
+        </div>
+        <button class="list-action-btn" onclick="revokeApiToken('${apiToken.id}')" title="Revoke token">
+          <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/></svg>
+        </button>
+      </div>
+    `).join('');
+  } catch (err) {
+    container.innerHTML = '<p style="text-align: center; color: var(--text-muted); padding: 20px;">API tokens are only available online</p>';
+  }
+}
+
+function describeApiToken(apiToken) {
+  const access = apiToken.access === 'read' ? 'Read only' : 'Read and write';
+  const lists = apiToken.listIds
+    ? apiToken.listIds.map(id => savedLists.find(l => l.id === id)?.name || 'unknown list').join(', ')
+    : 'all lists';
+  const used = apiToken.lastUsedAt ? `last used ${formatActivityTime(apiToken.lastUsedAt)}` : 'never used';
+  return escapeHtml(`${access}, ${lists}, ${used}`);
+}
+
+async function createApiToken() {
+  const nameInput = document.getElementById('api-token-name');
+  const name = nameInput.value.trim();
+  if (!name) {
+    alert('Give the token a name so you can recognise it later');
+    return;
+  }
+  
+  const listIds = [...document.querySelectorAll('#api-token-lists input:checked')].map(input => input.value);
+  const token = await getSessionToken();
+  
+  try {
+    const response = await fetch(`${API_URL}/api/tokens`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`
+      },
+      body: JSON.stringify({
+        name,
+        access: document.getElementById('api-token-access').value,
+        listIds: listIds.length > 0 ? listIds : null
+      })
+    });
+    const data = await response.json();
+    if (data.error) throw new Error(data.error);
+    
+    nameInput.value = '';
+    await loadApiTokens();
+    document.getElementById('api-token-secret-value').value = data.secret;
+    document.getElementById('api-token-secret').classList.remove('hidden');
+  } catch (err) {
+    alert('Error: ' + err.message);
+  }
+}
+
+async function revokeApiToken(tokenId) {
+  if (!confirm('Revoke this token? Scripts using it will stop working.')) {
+    return;
+  }
+  
+  const token = await getSessionToken();
+  
+  try {
+    await fetch(`${API_URL}/api/tokens/${tokenId}`, {
+      method: 'DELETE',
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+    
+    loadApiTokens();
+  } catch (err) {
+    alert('Error: ' + err.message);
+  }
+}
+
+async function loadTemplates() {
+  const container = document.getElementById('templates-container');
+  
+  try {
+    const templates = await fetchTemplates();
+    container.innerHTML = templates.length === 0
+      ? '<p class="api-token-hint">Save a list as a template from Your Lists.</p>'
+      : templates.map(template => `
+        <div class="share-item">
+          <div>
+            <div class="share-user-name">${escapeHtml(template.name)}</div>
+            <div class="share-user-email">${template.itemCount} item${template.itemCount === 1 ? '' : 's'}, ${template.categoryCount} categor${template.categoryCount === 1 ? 'y' : 'ies'}</div>
+          </div>
+          <button class="list-action-btn" onclick="deleteTemplate('${template.id}')" title="Delete template">
+            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/></svg>
+          </button>
+        </div>
+      `).join('');
+  } catch (err) {
+    container.innerHTML = '<p style="text-align: center; color: var(--text-muted); padding: 20px;">Templates are only available online</p>';
+  }
+}
+
+async function deleteTemplate(templateId) {
+  if (!confirm('Delete this template? Lists already made from it are not affected.')) {
+    return;
+  }
+  
+  const token = await getSessionToken();
+  
+  try {
+    await fetch(`${API_URL}/api/templates/${templateId}`, {
+      method: 'DELETE',
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+    
+    loadTemplates();
+  } catch (err) {
+    alert('Error: ' + err.message);
+  }
 }
 
 function closeSettingsModal(event) {
@@ -1319,6 +2572,241 @@ function hideSettingsModal() {
   document.getElementById('settings-modal').classList.add('hidden');
 }
 
+// Account data
+async function exportAccount() {
+  const token = await getSessionToken();
+  
+  try {
+    const response = await fetch(`${API_URL}/api/user/export`, {
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+    if (!response.ok) throw new Error((await response.json()).error);
+    
+    const filename = (response.headers.get('Content-Disposition') || '').match(/filename="(.+)"/)?.[1] || 'shopping-list-export.json';
+    const url = URL.createObjectURL(await response.blob());
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+  } catch (err) {
+    alert('Export needs a connection: ' + err.message);
+  }
+}
+
+// Owned lists are deleted with the account unless handed to someone they
+// are shared with
+async function showDeleteAccountModal() {
+  const container = document.getElementById('delete-account-lists');
+  const token = await getSessionToken();
+  
+  try {
+    const response = await fetch(`${API_URL}/api/lists`, {
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+    const data = await response.json();
+    if (data.error) throw new Error(data.error);
+    
+    const owned = data.lists.filter(list => list.access === 'owner');
+    const rows = [];
+    for (const list of owned) {
+      const sharesResponse = await fetch(`${API_URL}/api/list/${list.id}/shares`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      const { shares = [] } = await sharesResponse.json();
+      rows.push(`
+        <div class="share-item">
+          <div class="share-user-name">${escapeHtml(list.name)}</div>
+          <select class="delete-account-transfer" data-list-id="${list.id}">
+            <option value="">Delete</option>
+            ${shares.map(share => `<option value="${share.id}">Give to ${escapeHtml(share.name || share.email)}</option>`).join('')}
+          </select>
+        </div>
+      `);
+    }
+    
+    container.innerHTML = rows.join('') || '<p class="transfer-hint">You do not own any lists.</p>';
+    hideSettingsModal();
+    document.getElementById('delete-account-modal').classList.remove('hidden');
+  } catch (err) {
+    alert('Deleting your account needs a connection: ' + err.message);
+  }
+}
+
+function hideDeleteAccountModal() {
+  document.getElementById('delete-account-modal').classList.add('hidden');
+}
+
+function closeDeleteAccountModal(event) {
+  if (event.target === event.currentTarget) {
+    hideDeleteAccountModal();
+  }
+}
+
+async function deleteAccount() {
+  if (!confirm('Permanently delete your account and every list you are not handing over? This cannot be undone.')) {
+    return;
+  }
+  
+  const transfers = {};
+  document.querySelectorAll('.delete-account-transfer').forEach(select => {
+    if (select.value) transfers[select.dataset.listId] = select.value;
+  });
+  
+  const token = await getSessionToken();
+  
+  try {
+    const response = await fetch(`${API_URL}/api/user`, {
+      method: 'DELETE',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`
+      },
+      body: JSON.stringify({ transfers })
+    });
+    const data = await response.json();
+    if (data.error) throw new Error(data.error);
+  } catch (err) {
+    alert('Error: ' + err.message);
+    return;
+  }
+  
+  stopSync();
+  for (const list of savedLists) {
+    await localDB.clearList(list.id);
+  }
+  savedLists = [];
+  await saveListsToStorage();
+  await localDB.clearAuth();
+  currentUser = null;
+  currentList = null;
+  hideDeleteAccountModal();
+  showLoginScreen();
+}
+
+// History Modal - the activity log lives on the server, so it needs a connection
+let historyBefore = null;
+
+async function showHistoryModal() {
+  if (!currentList) return;
+  
+  historyBefore = null;
+  document.getElementById('history-container').innerHTML = '';
+  document.getElementById('history-more').classList.add('hidden');
+  document.getElementById('history-modal').classList.remove('hidden');
+  
+  await loadMoreHistory();
+}
+
+async function loadMoreHistory() {
+  const container = document.getElementById('history-container');
+  const token = await getSessionToken();
+  const params = new URLSearchParams({ limit: 50 });
+  if (historyBefore) params.set('before', historyBefore);
+  
+  try {
+    const response = await fetch(`${API_URL}/api/list/${currentList.id}/history?${params}`, {
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+    
+    const data = await response.json();
+    if (data.error) throw new Error(data.error);
+    
+    if (!historyBefore && data.entries.length === 0) {
+      container.innerHTML = '<p style="text-align: center; color: var(--text-muted); padding: 20px;">No activity yet</p>';
+    }
+    
+    container.insertAdjacentHTML('beforeend', data.entries.map(entry => `
+      <div class="history-item">
+        <div>${describeActivity(entry)}</div>
+        <div class="history-time">${formatActivityTime(entry.createdAt)}</div>
+      </div>
+    `).join(''));
+    
+    historyBefore = data.nextBefore;
+    document.getElementById('history-more').classList.toggle('hidden', !historyBefore);
+  } catch (err) {
+    console.error('Failed to load history:', err);
+    if (!historyBefore) {
+      container.innerHTML = `<p style="text-align: center; color: var(--text-muted); padding: 20px;">${navigator.onLine ? 'Could not load history' : 'History is available when online'}</p>`;
+    }
+  }
+}
+
+// "Sam completed Milk"
+function describeActivity(entry) {
+  const who = escapeHtml(entry.userId === currentUser?.id ? 'You' : (entry.userName || entry.userEmail || 'Someone'));
+  const what = `<strong>${escapeHtml(entry.summary || '')}</strong>`;
+  const details = entry.details || {};
+  
+  switch (entry.action) {
+    case 'list_created':
+      if (details.template) return `${who} created the list from template <strong>${escapeHtml(details.template)}</strong>`;
+      if (details.copiedFrom) return `${who} created the list as a copy of <strong>${escapeHtml(details.copiedFrom)}</strong>`;
+      return `${who} created the list`;
+    case 'list_renamed': return `${who} renamed the list from <strong>${escapeHtml(details.from || '')}</strong> to ${what}`;
+    case 'list_archived': return `${who} archived the list`;
+    case 'list_unarchived': return `${who} restored the list from the archive`;
+    case 'item_added': return `${who} added ${what}`;
+    case 'item_completed': return `${who} completed ${what}`;
+    case 'item_uncompleted': return `${who} unchecked ${what}`;
+    case 'item_edited': return `${who} renamed <strong>${escapeHtml(details.from || '')}</strong> to ${what}`;
+    case 'item_moved': {
+      const category = categories.find(c => c.id === details.categoryId);
+      return `${who} moved ${what} to ${escapeHtml(category ? category.name : 'Uncategorized')}`;
+    }
+    case 'item_deleted': return `${who} deleted ${what}`;
+    case 'item_recurrence_set': {
+      const every = details.recurrence ? describeRecurrence(details.recurrence).replace(/^Every/, 'every') : 'regularly';
+      return `${who} set ${what} to repeat ${escapeHtml(every)}`;
+    }
+    case 'item_recurrence_cleared': return `${who} stopped ${what} repeating`;
+    case 'item_recurred': return `${what} came back on the list`;
+    case 'item_notes_edited': return `${who} edited the notes on ${what}`;
+    case 'item_price_changed': return details.price != null
+      ? `${who} set the price of ${what} to ${formatPrice(details.price)}`
+      : `${who} cleared the price of ${what}`;
+    case 'list_budget_changed': return details.budget != null
+      ? `${who} set the budget to ${formatPrice(details.budget)}`
+      : `${who} removed the budget`;
+    case 'item_quantity_changed': return details.quantity
+      ? `${who} changed the quantity of ${what} to ${escapeHtml(formatQuantity({ quantity: details.quantity }))}`
+      : `${who} cleared the quantity of ${what}`;
+    case 'category_added': return `${who} added category ${what}`;
+    case 'category_renamed': return `${who} renamed category <strong>${escapeHtml(details.from || '')}</strong> to ${what}`;
+    case 'category_deleted': return `${who} deleted category ${what}`;
+    case 'categories_reordered': return `${who} reordered categories`;
+    case 'share_added': return `${who} shared the list with ${what}`;
+    case 'share_role_changed': return `${who} changed ${what} to ${roleLabel(details.to).toLowerCase()}`;
+    case 'share_removed': return `${who} removed ${what} from the list`;
+    case 'invitation_added': return `${who} invited ${what}`;
+    case 'invitation_removed': return `${who} cancelled the invitation for ${what}`;
+    case 'ownership_transferred': return `${who} transferred ownership to ${what}`;
+    case 'member_left': return `${who} left the list`;
+    case 'joined_via_link': return `${who} joined with an invite link`;
+    default: return `${who} changed the list`;
+  }
+}
+
+function formatActivityTime(timestamp) {
+  const date = new Date(timestamp);
+  const time = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  if (date.toDateString() === new Date().toDateString()) {
+    return time;
+  }
+  return `${date.toLocaleDateString([], { day: 'numeric', month: 'short' })} ${time}`;
+}
+
+function hideHistoryModal() {
+  document.getElementById('history-modal').classList.add('hidden');
+}
+
+function closeHistoryModal(event) {
+  if (event.target === event.currentTarget) {
+    hideHistoryModal();
+  }
+}
+
 window.matchMedia('(prefers-color-scheme: dark)').addEventListener('change', async () => {
   const savedTheme = await localDB.getMeta('theme') || 'system';
   if (savedTheme === 'system') {
@@ -2,7 +2,11 @@
 // Zero dependencies - vanilla JS only
 
 const DB_NAME = 'shopping-list';
-const DB_VERSION = 3;
+const DB_VERSION = 5;
+
+// Fields that sync with their own version so concurrent edits merge
+const ITEM_FIELDS = ['text', 'quantity', 'unit', 'notes', 'price', 'categoryId', 'completed', 'recurrence'];
+const CATEGORY_FIELDS = ['name', 'sortOrder'];
 
 class LocalDB {
   constructor() {
@@ -28,10 +32,16 @@ class LocalDB {
           const store = db.createObjectStore('items', { keyPath: 'id' });
           store.createIndex('updatedAt', 'updatedAt', { unique: false });
           store.createIndex('categoryId', 'categoryId', { unique: false });
-        } else if (oldVersion < 2) {
-          // Add category index to existing items store
+          store.createIndex('listId', 'listId', { unique: false });
+        } else {
           const store = request.transaction.objectStore('items');
-          store.createIndex('categoryId', 'categoryId', { unique: false });
+          if (oldVersion < 2) {
+            // Add category index to existing items store
+            store.createIndex('categoryId', 'categoryId', { unique: false });
+          }
+          if (oldVersion < 4) {
+            store.createIndex('listId', 'listId', { unique: false });
+          }
         }
         
         // Store categories
@@ -39,28 +49,35 @@ class LocalDB {
           const store = db.createObjectStore('categories', { keyPath: 'id' });
           store.createIndex('sortOrder', 'sortOrder', { unique: false });
           store.createIndex('updatedAt', 'updatedAt', { unique: false });
+          store.createIndex('listId', 'listId', { unique: false });
+        } else if (oldVersion < 4) {
+          request.transaction.objectStore('categories').createIndex('listId', 'listId', { unique: false });
         }
         
-        // Store pending changes for sync
+        // Store pending changes for sync, keyed by client change id
         if (!db.objectStoreNames.contains('pending')) {
-          db.createObjectStore('pending', { keyPath: 'id', autoIncrement: true });
+          createPendingStore(db);
         }
         
         // Store list metadata
         if (!db.objectStoreNames.contains('meta')) {
           db.createObjectStore('meta', { keyPath: 'key' });
         }
+        
+        if (oldVersion > 0 && oldVersion < 5) {
+          migrateLegacyStores(db, request.transaction, oldVersion);
+        }
       };
     });
   }
 
   // Items
-  async getItems() {
+  async getItems(listId) {
     if (!this.db) await this.init();
     return new Promise((resolve, reject) => {
       const tx = this.db.transaction('items', 'readonly');
       const store = tx.objectStore('items');
-      const request = store.getAll();
+      const request = store.index('listId').getAll(listId);
       request.onsuccess = () => resolve(request.result.filter(i => !i.deleted));
       request.onerror = () => reject(request.error);
     });
@@ -89,6 +106,7 @@ class LocalDB {
     });
   }
 
+  // Items and categories must carry the listId they belong to
   async saveItem(item) {
     if (!this.db) await this.init();
     return new Promise((resolve, reject) => {
@@ -111,24 +129,23 @@ class LocalDB {
     });
   }
 
-  async clearItems() {
-    if (!this.db) await this.init();
-    return new Promise((resolve, reject) => {
-      const tx = this.db.transaction('items', 'readwrite');
-      const store = tx.objectStore('items');
-      const request = store.clear();
-      request.onsuccess = () => resolve();
-      request.onerror = () => reject(request.error);
-    });
+  async clearItems(listId) {
+    return this.clearByList('items', listId);
+  }
+
+  // Merge an item from the server into local storage field by field
+  async applyRemoteItem(listId, remote) {
+    const local = await this.getItem(remote.id);
+    await this.saveItem(mergeFields(local, { ...remote, listId }, ITEM_FIELDS));
   }
 
   // Categories
-  async getCategories() {
+  async getCategories(listId) {
     if (!this.db) await this.init();
     return new Promise((resolve, reject) => {
       const tx = this.db.transaction('categories', 'readonly');
       const store = tx.objectStore('categories');
-      const request = store.getAll();
+      const request = store.index('listId').getAll(listId);
       request.onsuccess = () => resolve(request.result.filter(c => !c.deleted).sort((a, b) => a.sortOrder - b.sortOrder));
       request.onerror = () => reject(request.error);
     });
@@ -156,37 +173,46 @@ class LocalDB {
     });
   }
 
-  async clearCategories() {
+  async clearCategories(listId) {
+    return this.clearByList('categories', listId);
+  }
+
+  async getCategory(id) {
     if (!this.db) await this.init();
     return new Promise((resolve, reject) => {
-      const tx = this.db.transaction('categories', 'readwrite');
+      const tx = this.db.transaction('categories', 'readonly');
       const store = tx.objectStore('categories');
-      const request = store.clear();
-      request.onsuccess = () => resolve();
+      const request = store.get(id);
+      request.onsuccess = () => resolve(request.result);
       request.onerror = () => reject(request.error);
     });
   }
 
+  async applyRemoteCategory(listId, remote) {
+    const local = await this.getCategory(remote.id);
+    await this.saveCategory(mergeFields(local, { ...remote, listId }, CATEGORY_FIELDS));
+  }
+
   // Get category by name (for auto-suggest)
-  async getCategoryByName(name) {
+  async getCategoryByName(listId, name) {
     if (!this.db) await this.init();
-    const categories = await this.getCategories();
+    const categories = await this.getCategories(listId);
     return categories.find(c => c.name.toLowerCase() === name.toLowerCase());
   }
 
   // Find category for item text (auto-suggest)
-  async suggestCategoryForItem(text) {
+  async suggestCategoryForItem(listId, text) {
     if (!this.db) await this.init();
-    const items = await this.getItems();
+    const items = await this.getItems(listId);
     const match = items.find(i => i.text.toLowerCase() === text.toLowerCase() && i.categoryId);
     return match ? match.categoryId : null;
   }
 
-  // Get item name suggestions based on all previous items
-  async getItemSuggestions(partialText, limit = 5) {
+  // Get item name suggestions based on all previous items in the list
+  async getItemSuggestions(listId, partialText, limit = 5) {
     if (!this.db || !partialText || partialText.length < 2) return [];
     
-    const items = await this.getItems();
+    const items = await this.getItems(listId);
     const text = partialText.toLowerCase();
     
     // Find unique items that match the partial text
@@ -211,37 +237,119 @@ class LocalDB {
       .slice(0, limit);
   }
 
-  // Pending changes queue
+  // Pending changes queue - each change carries the listId it applies to
+  // and a changeId the server echoes back when acknowledging it
   async queueChange(change) {
     if (!this.db) await this.init();
     return new Promise((resolve, reject) => {
       const tx = this.db.transaction('pending', 'readwrite');
       const store = tx.objectStore('pending');
-      const request = store.add(change);
+      const request = store.add({ ...change, changeId: crypto.randomUUID() });
       request.onsuccess = () => resolve();
       request.onerror = () => reject(request.error);
     });
   }
 
-  async getPendingChanges() {
+  async getPendingChanges(listId) {
     if (!this.db) await this.init();
     return new Promise((resolve, reject) => {
       const tx = this.db.transaction('pending', 'readonly');
       const store = tx.objectStore('pending');
-      const request = store.getAll();
+      const request = store.index('listId').getAll(listId);
       request.onsuccess = () => resolve(request.result);
       request.onerror = () => reject(request.error);
     });
   }
 
-  async clearPendingChanges() {
+  // Lists that have changes waiting to sync
+  async getPendingListIds() {
+    if (!this.db) await this.init();
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction('pending', 'readonly');
+      const request = tx.objectStore('pending').index('listId').openKeyCursor(null, 'nextunique');
+      const listIds = [];
+      request.onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor) return resolve(listIds);
+        listIds.push(cursor.key);
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Number of changes waiting to sync, by list id
+  async getPendingCounts() {
+    const counts = {};
+    for (const change of await this.getAllPendingChanges()) {
+      counts[change.listId] = (counts[change.listId] || 0) + 1;
+    }
+    return counts;
+  }
+
+  async getAllPendingChanges() {
+    if (!this.db) await this.init();
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction('pending', 'readonly');
+      const request = tx.objectStore('pending').getAll();
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async clearPendingChanges(listId) {
+    return this.clearByList('pending', listId);
+  }
+
+  // Remove only the changes the server has acknowledged
+  async removePendingChanges(changeIds) {
     if (!this.db) await this.init();
     return new Promise((resolve, reject) => {
       const tx = this.db.transaction('pending', 'readwrite');
       const store = tx.objectStore('pending');
-      const request = store.clear();
-      request.onsuccess = () => resolve();
-      request.onerror = () => reject(request.error);
+      changeIds.forEach(changeId => store.delete(changeId));
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  // Per-list sync cursor (opaque, issued by the server)
+  async getSyncCursor(listId) {
+    return this.getMeta(`syncCursor:${listId}`);
+  }
+
+  async setSyncCursor(listId, cursor) {
+    return this.setMeta(`syncCursor:${listId}`, cursor);
+  }
+
+  // Remove everything stored locally for a list
+  async clearList(listId) {
+    await this.clearItems(listId);
+    await this.clearCategories(listId);
+    await this.clearPendingChanges(listId);
+    if (!this.db) await this.init();
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction('meta', 'readwrite');
+      tx.objectStore('meta').delete(`syncCursor:${listId}`);
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  async clearByList(storeName, listId) {
+    if (!this.db) await this.init();
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction(storeName, 'readwrite');
+      const request = tx.objectStore(storeName).index('listId').openCursor(IDBKeyRange.only(listId));
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (cursor) {
+          cursor.delete();
+          cursor.continue();
+        }
+      };
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
     });
   }
 
@@ -268,10 +376,43 @@ class LocalDB {
     });
   }
 
-  // Auth - store user and token
-  async saveAuth(user, token) {
+  // Identifies this device in field versions
+  async getDeviceId() {
+    let deviceId = await this.getMeta('deviceId');
+    if (!deviceId) {
+      deviceId = crypto.randomUUID();
+      await this.setMeta('deviceId', deviceId);
+    }
+    return deviceId;
+  }
+
+  // Auth - store user and session tokens
+  async saveAuth(user, session) {
     await this.setMeta('authUser', user);
-    await this.setMeta('authToken', token);
+    await this.saveSession(session);
+  }
+
+  // Written together so the app and service worker never see a new access
+  // token with an old refresh token
+  async saveSession(session) {
+    if (!this.db) await this.init();
+    return new Promise((resolve, reject) => {
+      const tx = this.db.transaction('meta', 'readwrite');
+      const store = tx.objectStore('meta');
+      store.put({ key: 'authToken', value: session.accessToken });
+      store.put({ key: 'refreshToken', value: session.refreshToken });
+      store.put({ key: 'authExpiresAt', value: Date.now() + session.expiresIn * 1000 });
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+    });
+  }
+
+  async getSession() {
+    return {
+      accessToken: await this.getMeta('authToken'),
+      refreshToken: await this.getMeta('refreshToken'),
+      expiresAt: await this.getMeta('authExpiresAt')
+    };
   }
 
   async getAuthUser() {
@@ -289,9 +430,94 @@ class LocalDB {
       const store = tx.objectStore('meta');
       store.delete('authUser');
       store.delete('authToken');
+      store.delete('refreshToken');
+      store.delete('authExpiresAt');
       tx.oncomplete = () => resolve();
       tx.onerror = () => reject(tx.error);
     });
   }
 }
 
+// Take each field from whichever side has the higher version, so local edits
+// the server has not acknowledged yet survive applying older server state
+function mergeFields(local, remote, fieldNames) {
+  if (!local) {
+    return { ...remote, fieldVersions: { ...(remote.fieldVersions || {}) } };
+  }
+  
+  const merged = {
+    ...local,
+    listId: remote.listId,
+    updatedAt: remote.updatedAt,
+    fieldVersions: { ...(local.fieldVersions || {}) }
+  };
+  
+  for (const field of fieldNames) {
+    const localVersion = local.fieldVersions?.[field];
+    const remoteVersion = remote.fieldVersions?.[field];
+    if (!localVersion || (remoteVersion && remoteVersion >= localVersion)) {
+      merged[field] = remote[field];
+      if (remoteVersion) merged.fieldVersions[field] = remoteVersion;
+    }
+  }
+  return merged;
+}
+
+function createPendingStore(db) {
+  const store = db.createObjectStore('pending', { keyPath: 'changeId' });
+  store.createIndex('listId', 'listId', { unique: false });
+  return store;
+}
+
+function migrateLegacyStores(db, tx, oldVersion) {
+  const meta = tx.objectStore('meta');
+  const request = meta.get('lastUsedListId');
+  
+  request.onsuccess = () => {
+    // Before v4 everything belonged to the last opened list
+    const listId = request.result?.value;
+    
+    if (oldVersion < 4) {
+      assignLegacyRecordsToList(tx, listId);
+    }
+    
+    // Before v5 pending changes were keyed by item id, so a second edit to
+    // the same item could not be queued
+    const pending = tx.objectStore('pending').getAll();
+    pending.onsuccess = () => {
+      db.deleteObjectStore('pending');
+      const store = createPendingStore(db);
+      for (const change of pending.result) {
+        const changeListId = change.listId || listId;
+        if (changeListId) {
+          store.put({ ...change, listId: changeListId, changeId: crypto.randomUUID() });
+        }
+      }
+    };
+  };
+}
+
+// Stamp records written before per-list storage with the list that was open,
+// which is the only list they could have belonged to
+function assignLegacyRecordsToList(tx, listId) {
+  const meta = tx.objectStore('meta');
+  
+  for (const storeName of ['items', 'categories']) {
+    const store = tx.objectStore(storeName);
+    if (!listId) {
+      store.clear();
+      continue;
+    }
+    store.openCursor().onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (!cursor) return;
+      if (!cursor.value.listId) {
+        cursor.update({ ...cursor.value, listId });
+      }
+      cursor.continue();
+    };
+  }
+  
+  // Timestamps are no longer sync cursors; the list resyncs from the start
+  meta.delete('lastSync');
+}
@@ -1,12 +1,17 @@
 // Service Worker for offline support
 // Caches app shell and provides offline functionality
 
+importScripts('db.js', 'sync.js');
+
+const localDB = new LocalDB();
+
 const CACHE_NAME = 'shopping-list-mlknhs8f-10t6sm';
 const ASSETS = [
   '/',
   '/index.html',
   '/app.js',
   '/db.js',
+  '/sync.js',
   '/manifest.json',
   '/icon-192.png',
   '/icon-512.png'
@@ -115,11 +120,26 @@ self.addEventListener('sync', (event) => {
   }
 });
 
+// Deliver queued changes even when the app is closed. A failure rejects
+// the event so the browser retries later.
 async function syncWithServer() {
-  // The actual sync happens in the client app
-  // This just notifies clients to sync
+  const token = await getSessionToken();
+  if (!token) return;
+  
+  const deviceId = await localDB.getDeviceId();
+  const listIds = await localDB.getPendingListIds();
+  if (listIds.length === 0) return;
+  
+  const outcomes = await syncLists(listIds, token, deviceId);
+  // The app drops lists that are gone itself; retrying will not bring them back
+  const failed = Object.values(outcomes).some(outcome => outcome.error && !isListGone(outcome.code));
+  
   const clients = await self.clients.matchAll();
   clients.forEach((client) => {
-    client.postMessage({ type: 'SYNC_NOW' });
+    client.postMessage({ type: 'SYNC_COMPLETE', listIds });
   });
+  
+  if (failed) {
+    throw new Error('Background sync incomplete');
+  }
 }
@@ -0,0 +1,250 @@
+// Sync logic shared by the app and the service worker
+// Expects db.js to be loaded first and a `localDB` instance in scope
+
+const API_URL = self.location.origin;
+
+// Lists per request; the server accepts up to 5
+const SYNC_LISTS_PER_REQUEST = 5;
+
+// Queued changes sent per list per request; the server accepts up to 500
+const SYNC_CHANGES_PER_REQUEST = 500;
+
+// A list answering with one of these is gone for this user for good: it was
+// deleted, or they were removed from it, left it or its owner's account was
+// deleted
+const LIST_GONE_CODES = ['list_deleted', 'no_list_access'];
+
+function isListGone(code) {
+  return LIST_GONE_CODES.includes(code);
+}
+
+// Refresh the access token this long before it expires
+const TOKEN_REFRESH_MARGIN_MS = 60 * 1000;
+
+let refreshingSession = null;
+
+// Current access token, refreshed first when it is about to expire. Returns
+// null once the session has been revoked or has expired.
+async function getSessionToken() {
+  const session = await localDB.getSession();
+  if (!session.accessToken) return null;
+  if (session.expiresAt && session.expiresAt - TOKEN_REFRESH_MARGIN_MS > Date.now()) {
+    return session.accessToken;
+  }
+  if (!session.refreshToken) return null;
+
+  if (!refreshingSession) {
+    refreshingSession = refreshSession(session.refreshToken)
+      .finally(() => { refreshingSession = null; });
+  }
+  return refreshingSession;
+}
+
+async function refreshSession(refreshToken) {
+  let response;
+  try {
+    response = await fetch(`${API_URL}/api/auth/refresh`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refreshToken })
+    });
+  } catch (e) {
+    // Offline: the old token still works for anything queued locally
+    return (await localDB.getSession()).accessToken;
+  }
+
+  if (response.ok) {
+    const data = await response.json();
+    await localDB.saveSession(data);
+    return data.accessToken;
+  }
+
+  // The app and the service worker share one session, so the other may have
+  // rotated the refresh token first
+  const latest = await localDB.getSession();
+  if (latest.refreshToken && latest.refreshToken !== refreshToken) {
+    return latest.accessToken;
+  }
+  return null;
+}
+
+// Push each list's pending changes and pull everything that changed on the
+// server since its stored cursor, all lists in one request. Returns
+// { [listId]: { rejected, list } } with the changes the server rejected and
+// the list's current name, archived flag, budget and the user's role, or
+// { [listId]: { error, code } } for a list that could not be synced.
+async function syncLists(listIds, token, deviceId) {
+  const outcomes = {};
+  
+  for (let i = 0; i < listIds.length; i += SYNC_LISTS_PER_REQUEST) {
+    let chunk = listIds.slice(i, i + SYNC_LISTS_PER_REQUEST);
+    
+    // A long time offline can queue more changes than one request takes
+    while (chunk.length > 0) {
+      const pendingByList = {};
+      const morePending = [];
+      let entries = [];
+      
+      for (const listId of chunk) {
+        const pending = await localDB.getPendingChanges(listId);
+        pendingByList[listId] = pending.slice(0, SYNC_CHANGES_PER_REQUEST);
+        if (pending.length > SYNC_CHANGES_PER_REQUEST) morePending.push(listId);
+        entries.push({
+          listId,
+          cursor: await localDB.getSyncCursor(listId),
+          ...toSyncPayload(pendingByList[listId], deviceId)
+        });
+      }
+      
+      // Catching up on a lot of changes takes several pages
+      while (entries.length > 0) {
+        const data = await postSync(token, { lists: entries, deviceId });
+        entries = [];
+        
+        for (const result of data.lists) {
+          const outcome = outcomes[result.listId] || (outcomes[result.listId] = { rejected: [] });
+          if (result.error) {
+            console.error('Sync failed for list:', result.listId, result.error);
+            outcome.error = result.error;
+            outcome.code = result.code;
+            // Nothing queued for a list that is gone can ever be delivered
+            if (isListGone(result.code)) {
+              await localDB.clearPendingChanges(result.listId);
+            }
+            continue;
+          }
+          
+          const rejected = await applySyncResult(result, pendingByList[result.listId]);
+          outcome.rejected.push(...rejected);
+          outcome.list = result.list;
+          
+          if (result.hasMore) {
+            entries.push({ listId: result.listId, cursor: result.cursor });
+          }
+        }
+      }
+      
+      chunk = morePending.filter(listId => !outcomes[listId].error);
+    }
+  }
+  
+  return outcomes;
+}
+
+function toSyncPayload(pending, deviceId) {
+  const itemChanges = pending
+    .filter(p => !p.type.startsWith('category_'))
+    .map(c => toSyncChange(c, c.type, ITEM_FIELDS, deviceId));
+  const categoryChanges = pending
+    .filter(p => p.type.startsWith('category_') && p.type !== 'category_order')
+    .map(c => toSyncChange(c, c.type.replace('category_', ''), CATEGORY_FIELDS, deviceId));
+  
+  const categoryOrderChanges = pending
+    .filter(p => p.type === 'category_order')
+    .map(c => ({
+      changeId: c.changeId,
+      order: c.order,
+      version: c.version || `${c.timestamp}#${deviceId}`
+    }));
+  
+  return { itemChanges, categoryChanges, categoryOrderChanges };
+}
+
+async function applySyncResult(result, pending) {
+  // The server purged deletes this device never saw, so start over from the
+  // full list it sent (pending changes stay queued)
+  if (result.resync) {
+    await localDB.clearItems(result.listId);
+    await localDB.clearCategories(result.listId);
+  }
+  
+  await applyServerChanges(result.listId, result);
+  
+  // Changes queued while the request was in flight stay pending
+  await localDB.removePendingChanges(result.results.map(r => r.changeId));
+  await localDB.setSyncCursor(result.listId, result.cursor);
+  
+  const rejected = result.results.filter(r => r.status === 'rejected');
+  await discardRejectedChanges(rejected, pending);
+  return rejected;
+}
+
+async function postSync(token, body) {
+  const response = await fetch(`${API_URL}/api/sync`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${token}`
+    },
+    body: JSON.stringify(body)
+  });
+  
+  const data = await response.json();
+  if (data.error) throw new Error(data.error);
+  return data;
+}
+
+// Apply rows the server sent, from a sync response or a live update
+async function applyServerChanges(listId, data) {
+  for (const change of data.itemChanges) {
+    if (change.type === 'delete') {
+      await localDB.deleteItem(change.id);
+    } else {
+      await localDB.applyRemoteItem(listId, {
+        id: change.id,
+        categoryId: change.categoryId,
+        text: change.text,
+        quantity: change.quantity,
+        unit: change.unit,
+        notes: change.notes,
+        price: change.price,
+        completed: change.completed,
+        recurrence: change.recurrence,
+        fieldVersions: change.fieldVersions,
+        updatedAt: change.timestamp
+      });
+    }
+  }
+  
+  for (const change of data.categoryChanges) {
+    if (change.type === 'delete') {
+      await localDB.deleteCategory(change.id);
+    } else {
+      await localDB.applyRemoteCategory(listId, {
+        id: change.id,
+        name: change.name,
+        sortOrder: change.sortOrder,
+        fieldVersions: change.fieldVersions,
+        updatedAt: change.timestamp
+      });
+    }
+  }
+}
+
+// Changes queued before field-level merge carried whole rows and no versions
+function toSyncChange(change, type, fieldNames, deviceId) {
+  const fields = change.fields || Object.fromEntries(
+    fieldNames.filter(field => field in change).map(field => [field, change[field]])
+  );
+  const versions = change.versions || Object.fromEntries(
+    Object.keys(fields).map(field => [field, `${change.timestamp}#${deviceId}`])
+  );
+  
+  return { changeId: change.changeId, type, id: change.id, fields, versions };
+}
+
+// The server will never accept these, so drop anything they created locally
+async function discardRejectedChanges(rejected, pending) {
+  for (const result of rejected) {
+    const change = pending.find(p => p.changeId === result.changeId);
+    if (!change) continue;
+    
+    console.warn('Change rejected by server:', result.reason, change);
+    
+    if (change.type === 'add') {
+      await localDB.deleteItem(change.id);
+    } else if (change.type === 'category_add') {
+      await localDB.deleteCategory(change.id);
+    }
+  }
+}
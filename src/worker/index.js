@@ -14,10 +14,12 @@ export default {
       return new Response(null, { headers: corsHeaders });
     }
 
+    // Handlers are awaited so that errors they throw, such as an ApiError
+    // from readBody(), reach the catch below
     try {
-      // Handle OAuth callback before static assets (needs to return HTML)
+      // Handle OAuth callback before static assets
       if (url.pathname === '/auth/callback') {
-        return handleAuthCallback(request, env, corsHeaders);
+        return await handleAuthCallback(request, env);
       }
       
       // Serve static assets for non-API routes
@@ -25,22 +27,36 @@ export default {
         return env.ASSETS.fetch(request);
       }
 
+      // Sign-in endpoints are limited per address, everything else per user
+      if (url.pathname.startsWith('/api/auth/') && !(await withinRateLimit(env.AUTH_RATE_LIMITER, request.headers.get('CF-Connecting-IP')))) {
+        return rateLimited(corsHeaders);
+      }
+
       // Auth routes (no auth required)
-      if (url.pathname === '/api/auth/google') {
-        return getGoogleAuthUrl(env, corsHeaders);
+      if (url.pathname === '/api/auth/providers') {
+        return await getAuthProviders(env, corsHeaders);
+      }
+      
+      if (url.pathname === '/api/auth/claim' && request.method === 'POST') {
+        return await claimSession(request, env, corsHeaders);
       }
       
-      if (url.pathname === '/api/auth/callback') {
-        return handleGoogleCallback(request, env, corsHeaders);
+      if (url.pathname === '/api/auth/refresh' && request.method === 'POST') {
+        return await refreshSession(request, env, corsHeaders);
       }
       
       if (url.pathname === '/api/auth/logout') {
-        return logout(request, env, corsHeaders);
+        return await logout(request, env, corsHeaders);
+      }
+      
+      const providerMatch = url.pathname.match(/^\/api\/auth\/(\w+)$/);
+      if (providerMatch && Object.hasOwn(AUTH_PROVIDERS, providerMatch[1]) && request.method === 'GET') {
+        return await startSignIn(providerMatch[1], request, env, corsHeaders);
       }
 
       // User routes
-      if (url.pathname === '/api/user') {
-        return getUser(request, env, corsHeaders);
+      if (url.pathname === '/api/user' && request.method === 'GET') {
+        return await getUser(request, env, corsHeaders);
       }
 
       // All other routes require authentication
@@ -49,32 +65,160 @@ export default {
         return error(auth.error, 401, corsHeaders);
       }
       const user = auth.user;
+      
+      if (!(await withinRateLimit(env.API_RATE_LIMITER, user.id))) {
+        return rateLimited(corsHeaders);
+      }
+      
+      if (user.apiToken) {
+        const denied = checkApiTokenRequest(user.apiToken, url, request);
+        if (denied) {
+          return error(denied, 403, corsHeaders, { code: 'token_scope' });
+        }
+      }
+
+      // Session routes
+      if (url.pathname === '/api/auth/sessions' && request.method === 'GET') {
+        return await getSessions(user, auth.sessionId, env, corsHeaders);
+      }
+      
+      if (url.pathname.match(/^\/api\/auth\/sessions\/[\w-]+$/) && request.method === 'DELETE') {
+        const sessionId = url.pathname.split('/')[4];
+        return await revokeSession(user, sessionId, env, corsHeaders);
+      }
+
+      // API token routes
+      if (url.pathname === '/api/tokens' && request.method === 'GET') {
+        return await getApiTokens(user, env, corsHeaders);
+      }
+      
+      if (url.pathname === '/api/tokens' && request.method === 'POST') {
+        return await createApiToken(request, user, env, corsHeaders);
+      }
+      
+      if (url.pathname.match(/^\/api\/tokens\/[\w-]+$/) && request.method === 'DELETE') {
+        const tokenId = url.pathname.split('/')[3];
+        return await revokeApiToken(user, tokenId, env, corsHeaders);
+      }
+
+      // Account routes
+      if (url.pathname === '/api/user/export' && request.method === 'GET') {
+        return await exportAccount(user, env, corsHeaders);
+      }
+      
+      if (url.pathname === '/api/user' && request.method === 'DELETE') {
+        return await deleteAccount(request, user, env, ctx, corsHeaders);
+      }
 
       // List routes
       if (url.pathname === '/api/lists' && request.method === 'GET') {
-        return getUserLists(user, env, corsHeaders);
+        return await getUserLists(user, env, corsHeaders);
       }
       
       if (url.pathname === '/api/list' && request.method === 'POST') {
-        return createList(request, user, env, corsHeaders);
+        return await createList(request, user, env, corsHeaders);
       }
 
-      // Get list by ID - must be owner or collaborator
+      // Get list by ID - must be owner or shared with the user
       if (url.pathname.match(/^\/api\/list\/[\w-]+$/) && request.method === 'GET') {
         const listId = url.pathname.split('/')[3];
-        return getList(listId, user, env, corsHeaders);
+        return await getList(listId, user, env, corsHeaders);
+      }
+
+      // Copy a list into a new one owned by the user
+      if (url.pathname.match(/^\/api\/list\/[\w-]+\/duplicate$/) && request.method === 'POST') {
+        const listId = url.pathname.split('/')[3];
+        return await duplicateList(listId, request, user, env, corsHeaders);
+      }
+
+      // Save a list as a template
+      if (url.pathname.match(/^\/api\/list\/[\w-]+\/template$/) && request.method === 'POST') {
+        const listId = url.pathname.split('/')[3];
+        return await saveTemplate(listId, request, user, env, corsHeaders);
+      }
+
+      // Template routes
+      if (url.pathname === '/api/templates' && request.method === 'GET') {
+        return await getTemplates(user, env, corsHeaders);
+      }
+      
+      if (url.pathname.match(/^\/api\/templates\/[\w-]+$/) && request.method === 'DELETE') {
+        const templateId = url.pathname.split('/')[3];
+        return await deleteTemplate(templateId, user, env, corsHeaders);
+      }
+
+      // Rename or archive a list - owner only
+      if (url.pathname.match(/^\/api\/list\/[\w-]+$/) && request.method === 'PUT') {
+        const listId = url.pathname.split('/')[3];
+        return await updateList(listId, request, user, env, ctx, corsHeaders);
+      }
+
+      // Delete a list - owner only
+      if (url.pathname.match(/^\/api\/list\/[\w-]+$/) && request.method === 'DELETE') {
+        const listId = url.pathname.split('/')[3];
+        return await deleteList(listId, user, env, ctx, corsHeaders);
       }
 
       // Share list
       if (url.pathname.match(/^\/api\/list\/[\w-]+\/share$/) && request.method === 'POST') {
         const listId = url.pathname.split('/')[3];
-        return shareList(listId, request, user, env, corsHeaders);
+        return await shareList(listId, request, user, env, corsHeaders);
       }
 
       // Get shares for a list
       if (url.pathname.match(/^\/api\/list\/[\w-]+\/shares$/) && request.method === 'GET') {
         const listId = url.pathname.split('/')[3];
-        return getListShares(listId, user, env, corsHeaders);
+        return await getListShares(listId, user, env, corsHeaders);
+      }
+
+      // Activity history
+      if (url.pathname.match(/^\/api\/list\/[\w-]+\/history$/) && request.method === 'GET') {
+        const listId = url.pathname.split('/')[3];
+        return await getListHistory(listId, request, user, env, corsHeaders);
+      }
+
+      // Invite links
+      if (url.pathname.match(/^\/api\/list\/[\w-]+\/invite-links$/) && request.method === 'GET') {
+        const listId = url.pathname.split('/')[3];
+        return await getInviteLinks(listId, user, env, corsHeaders);
+      }
+      
+      if (url.pathname.match(/^\/api\/list\/[\w-]+\/invite-links$/) && request.method === 'POST') {
+        const listId = url.pathname.split('/')[3];
+        return await createInviteLink(listId, request, user, env, corsHeaders);
+      }
+      
+      if (url.pathname.match(/^\/api\/list\/[\w-]+\/invite-links\/[\w-]+$/) && request.method === 'DELETE') {
+        const parts = url.pathname.split('/');
+        return await revokeInviteLink(parts[3], parts[5], user, env, corsHeaders);
+      }
+      
+      if (url.pathname === '/api/invite-links/accept' && request.method === 'POST') {
+        return await acceptInviteLink(request, user, env, corsHeaders);
+      }
+
+      // Remove invitation (the email is URL-encoded)
+      if (url.pathname.match(/^\/api\/list\/[\w-]+\/invitations\/[^/]+$/) && request.method === 'DELETE') {
+        const parts = url.pathname.split('/');
+        return await removeInvitation(parts[3], decodeURIComponent(parts[5]), user, env, corsHeaders);
+      }
+
+      // Hand the list over to someone it is shared with
+      if (url.pathname.match(/^\/api\/list\/[\w-]+\/transfer$/) && request.method === 'POST') {
+        const listId = url.pathname.split('/')[3];
+        return await transferOwnership(listId, request, user, env, ctx, corsHeaders);
+      }
+
+      // Leave a list shared with you
+      if (url.pathname.match(/^\/api\/list\/[\w-]+\/membership$/) && request.method === 'DELETE') {
+        const listId = url.pathname.split('/')[3];
+        return await leaveList(listId, user, env, ctx, corsHeaders);
+      }
+
+      // Change a share's role
+      if (url.pathname.match(/^\/api\/list\/[\w-]+\/share\/[\w-]+$/) && request.method === 'PUT') {
+        const parts = url.pathname.split('/');
+        return await updateShareRole(parts[3], parts[5], request, user, env, ctx, corsHeaders);
       }
 
       // Remove share
@@ -82,147 +226,326 @@ export default {
         const parts = url.pathname.split('/');
         const listId = parts[3];
         const shareUserId = parts[5];
-        return removeShare(listId, shareUserId, user, env, corsHeaders);
+        return await removeShare(listId, shareUserId, user, env, ctx, corsHeaders);
       }
 
       // Category routes
       if (url.pathname.match(/^\/api\/list\/[\w-]+\/categories$/) && request.method === 'GET') {
         const listId = url.pathname.split('/')[3];
-        return getCategories(listId, user, env, corsHeaders);
+        return await getCategories(listId, user, env, corsHeaders);
       }
       
       if (url.pathname.match(/^\/api\/list\/[\w-]+\/categories$/) && request.method === 'POST') {
         const listId = url.pathname.split('/')[3];
-        return createCategory(listId, request, user, env, corsHeaders);
+        return await createCategory(listId, request, user, env, ctx, corsHeaders);
       }
 
       if (url.pathname.match(/^\/api\/list\/[\w-]+\/categories\/order$/) && request.method === 'PUT') {
         const listId = url.pathname.split('/')[3];
-        return updateCategoryOrder(listId, request, user, env, corsHeaders);
+        return await updateCategoryOrder(listId, request, user, env, ctx, corsHeaders);
       }
 
       if (url.pathname.match(/^\/api\/list\/[\w-]+\/categories\/[\w-]+$/) && request.method === 'DELETE') {
         const parts = url.pathname.split('/');
         const listId = parts[3];
         const categoryId = parts[5];
-        return deleteCategory(listId, categoryId, user, env, corsHeaders);
+        return await deleteCategory(listId, categoryId, user, env, ctx, corsHeaders);
       }
 
-      // Sync route
+      // Sync routes
       if (url.pathname.match(/^\/api\/list\/[\w-]+\/sync$/) && request.method === 'POST') {
         const listId = url.pathname.split('/')[3];
-        return syncChanges(listId, request, user, env, corsHeaders);
+        return await syncChanges(listId, request, user, env, ctx, corsHeaders);
+      }
+      
+      if (url.pathname === '/api/sync' && request.method === 'POST') {
+        return await syncManyLists(request, user, env, ctx, corsHeaders);
+      }
+
+      // Live updates (WebSocket)
+      if (url.pathname.match(/^\/api\/list\/[\w-]+\/live$/) && request.method === 'GET') {
+        const listId = url.pathname.split('/')[3];
+        return await connectLive(listId, request, user, env, corsHeaders);
       }
 
       // Items routes
       if (url.pathname.match(/^\/api\/list\/[\w-]+\/items$/) && request.method === 'POST') {
         const listId = url.pathname.split('/')[3];
-        return addItem(listId, request, user, env, corsHeaders);
+        return await addItem(listId, request, user, env, ctx, corsHeaders);
       }
 
       if (url.pathname.match(/^\/api\/list\/[\w-]+\/items\/[\w-]+$/) && request.method === 'DELETE') {
         const parts = url.pathname.split('/');
         const listId = parts[3];
         const itemId = parts[5];
-        return deleteItem(listId, itemId, user, env, corsHeaders);
+        return await deleteItem(listId, itemId, user, env, ctx, corsHeaders);
       }
 
-      return json({ error: 'Not found', path: url.pathname, method: request.method }, corsHeaders, 404);
+      return error('Not found', 404, corsHeaders, { details: { path: url.pathname, method: request.method } });
     } catch (err) {
+      if (err instanceof ApiError) {
+        return error(err.message, err.status, corsHeaders, err);
+      }
       console.error('Error:', err);
-      return error(err.message, 500, corsHeaders);
+      return error('Something went wrong', 500, corsHeaders);
     }
+  },
+
+  // Cron Trigger (see wrangler.toml)
+  async scheduled(event, env, ctx) {
+    ctx.waitUntil(purgeTombstones(env));
+    ctx.waitUntil(reviveRecurringItems(env, ctx));
   }
 };
 
 // Auth Functions
 
-function getGoogleAuthUrl(env, corsHeaders) {
-  const clientId = env.GOOGLE_OAUTH_CLIENT_ID;
-  
-  // Client will replace REPLACE_WITH_ORIGIN with actual origin
-  const authUrl = `https://accounts.google.com/o/oauth2/v2/auth?` +
-    `client_id=${encodeURIComponent(clientId)}` +
-    `&redirect_uri=${encodeURIComponent('REPLACE_WITH_ORIGIN')}` +
-    `&response_type=token` +
-    `&scope=${encodeURIComponent('https://www.googleapis.com/auth/userinfo.email https://www.googleapis.com/auth/userinfo.profile')}` +
-    `&state=${generateId()}`;
-  
-  return json({ authUrl }, corsHeaders);
-}
-
-async function handleAuthCallback(request, env, corsHeaders) {
-  // For redirect OAuth flow - serve HTML that processes the token and redirects back to app
-  const html = `<!DOCTYPE html>
-<html>
-<head>
-  <title>Signing in...</title>
-</head>
-<body>
-  <p>Signing in...</p>
-  <script>
-    const hash = window.location.hash.substring(1);
-    const params = new URLSearchParams(hash);
-    const accessToken = params.get('access_token');
-    const expiresIn = params.get('expires_in');
-    
-    if (accessToken) {
-      // Store token in localStorage
-      localStorage.setItem('authToken', accessToken);
-      localStorage.setItem('tokenExpiry', (Date.now() + (expiresIn * 1000)).toString());
-      
-      // Get user info and store
-      fetch('https://www.googleapis.com/oauth2/v2/userinfo', {
-        headers: { 'Authorization': 'Bearer ' + accessToken }
-      })
-      .then(res => res.json())
-      .then(userInfo => {
-        localStorage.setItem('authUser', JSON.stringify(userInfo));
-        // Redirect back to app
-        window.location.href = '/';
+// Each provider signs a browser in at GET /api/auth/<id>: `start` either
+// redirects to an external sign-in page whose callback ends in finishSignIn,
+// or calls finishSignIn itself. Sessions are the same whichever was used.
+const AUTH_PROVIDERS = {
+  google: {
+    name: 'Google',
+    isEnabled: env => Boolean(env.GOOGLE_OAUTH_CLIENT_ID),
+    start: startGoogleSignIn
+  },
+  dev: {
+    name: 'Development',
+    isEnabled: env => getDevUsers(env).length > 0,
+    start: startDevSignIn,
+    // The login screen offers one button per test user
+    describe: env => ({ users: getDevUsers(env).map(({ email, name }) => ({ email, name })) })
+  }
+};
+
+function getAuthProviders(env, corsHeaders) {
+  const providers = Object.entries(AUTH_PROVIDERS)
+    .filter(([, provider]) => provider.isEnabled(env))
+    .map(([id, provider]) => ({ id, name: provider.name, ...provider.describe?.(env) }));
+  
+  return json({ providers }, corsHeaders);
+}
+
+async function startSignIn(providerId, request, env, corsHeaders) {
+  const provider = AUTH_PROVIDERS[providerId];
+  if (!provider.isEnabled(env)) {
+    return error('Sign-in provider not available', 404, corsHeaders);
+  }
+  
+  return provider.start(request, env);
+}
+
+// Redirect back to the app with a new session for `user`, or report that
+// sign-in failed when there is none
+async function finishSignIn(request, env, user) {
+  const url = new URL(request.url);
+  const headers = new Headers({ 'Location': '/?signin=failed' });
+  
+  if (user) {
+    const refreshToken = await createSession(user, request, env);
+    headers.append('Set-Cookie', buildCookie(url, SESSION_HANDOFF_COOKIE, refreshToken, {
+      path: '/api/auth/claim', maxAge: SESSION_HANDOFF_TTL_SECONDS, sameSite: 'Strict'
+    }));
+    headers.set('Location', '/?signin=complete');
+  }
+  
+  return new Response(null, { status: 302, headers });
+}
+
+// Local development and automated tests: AUTH_DEV_USERS is a comma-separated
+// list of emails that sign in with one click, without a password or any
+// network. Set it in .dev.vars, never for a deployed Worker.
+function getDevUsers(env) {
+  return (env.AUTH_DEV_USERS || '')
+    .split(',')
+    .map(email => email.trim().toLowerCase())
+    .filter(Boolean)
+    // Ids end up in URL paths, so keep them to word characters and dashes
+    .map(email => ({ id: `dev-${email.replace(/[^a-z0-9]+/g, '-')}`, email, name: email.split('@')[0], picture: null }));
+}
+
+async function startDevSignIn(request, env) {
+  const email = (new URL(request.url).searchParams.get('email') || '').toLowerCase();
+  const devUser = getDevUsers(env).find(user => user.email === email);
+  
+  return finishSignIn(request, env, devUser ? await upsertUser(env, devUser) : null);
+}
+
+// Sign-in uses Google's authorization-code flow with PKCE, run entirely by
+// the Worker: the browser only ever sees Google's code, never a Google token.
+// The OAuth state is stored in D1 and bound to the browser with a cookie, and
+// the ID token's nonce ties Google's answer to that same sign-in.
+const GOOGLE_AUTH_URL = 'https://accounts.google.com/o/oauth2/v2/auth';
+const GOOGLE_TOKEN_URL = 'https://oauth2.googleapis.com/token';
+const GOOGLE_CERTS_URL = 'https://www.googleapis.com/oauth2/v3/certs';
+const GOOGLE_ISSUERS = ['https://accounts.google.com', 'accounts.google.com'];
+const OAUTH_STATE_COOKIE = 'oauth_state';
+const OAUTH_STATE_TTL_SECONDS = 10 * 60;
+
+async function startGoogleSignIn(request, env) {
+  const url = new URL(request.url);
+  const state = generateSecret();
+  const codeVerifier = generateSecret();
+  const nonce = generateSecret();
+  
+  await env.DB.prepare(
+    'INSERT INTO oauth_states (state, code_verifier, nonce, expires_at) VALUES (?, ?, ?, ?)'
+  ).bind(state, codeVerifier, nonce, new Date(Date.now() + OAUTH_STATE_TTL_SECONDS * 1000).toISOString()).run();
+  
+  const authUrl = `${GOOGLE_AUTH_URL}?` + new URLSearchParams({
+    client_id: env.GOOGLE_OAUTH_CLIENT_ID,
+    redirect_uri: `${url.origin}/auth/callback`,
+    response_type: 'code',
+    scope: 'openid email profile',
+    state,
+    nonce,
+    code_challenge: await sha256(codeVerifier),
+    code_challenge_method: 'S256'
+  });
+  
+  // Lax, because the callback is a top-level redirect back from Google
+  return new Response(null, {
+    status: 302,
+    headers: {
+      'Location': authUrl,
+      'Set-Cookie': buildCookie(url, OAUTH_STATE_COOKIE, state, {
+        path: '/auth/callback', maxAge: OAUTH_STATE_TTL_SECONDS, sameSite: 'Lax'
       })
-      .catch(err => {
-        // Still redirect, we'll re-auth on app load
-        window.location.href = '/';
-      });
-    } else {
-      // No token, redirect to app (will show login)
-      window.location.href = '/';
     }
-  </script>
-</body>
-</html>`;
-  
-  return new Response(html, {
-    headers: { 'Content-Type': 'text/html' }
   });
 }
 
-async function handleGoogleCallback(request, env, corsHeaders) {
+// Google redirects here with a code
+async function handleAuthCallback(request, env) {
+  let user = null;
+  try {
+    user = await completeGoogleSignIn(request, env);
+  } catch (e) {
+    console.error('Sign in failed:', e.message);
+  }
+  
+  const response = await finishSignIn(request, env, user);
+  response.headers.append('Set-Cookie', buildCookie(new URL(request.url), OAUTH_STATE_COOKIE, '', {
+    path: '/auth/callback', maxAge: 0
+  }));
+  return response;
+}
+
+async function completeGoogleSignIn(request, env) {
   const url = new URL(request.url);
-  const hash = url.hash.substring(1); // Remove # 
+  const state = url.searchParams.get('state');
+  const code = url.searchParams.get('code');
+  
+  if (!state || !code || state !== getCookie(request, OAUTH_STATE_COOKIE)) {
+    throw new Error('State does not match this browser');
+  }
+  
+  // Each state can only be used once
+  const pending = await env.DB.prepare(
+    'DELETE FROM oauth_states WHERE state = ? AND expires_at > ? RETURNING code_verifier, nonce'
+  ).bind(state, new Date().toISOString()).first();
+  
+  if (!pending) {
+    throw new Error('Unknown or expired state');
+  }
+  
+  const tokenRes = await fetch(GOOGLE_TOKEN_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams({
+      client_id: env.GOOGLE_OAUTH_CLIENT_ID,
+      client_secret: env.GOOGLE_OAUTH_CLIENT_SECRET,
+      code,
+      code_verifier: pending.code_verifier,
+      redirect_uri: `${url.origin}/auth/callback`,
+      grant_type: 'authorization_code'
+    })
+  });
+  
+  if (!tokenRes.ok) {
+    throw new Error(`Code exchange failed: ${tokenRes.status}`);
+  }
   
-  const params = new URLSearchParams(hash);
-  const accessToken = params.get('access_token');
-  const expiresIn = params.get('expires_in');
-  const state = params.get('state');
+  const { id_token: idToken } = await tokenRes.json();
+  const claims = await verifyGoogleIdToken(env, idToken);
   
-  if (!accessToken) {
-    return error('No access token received', 400, corsHeaders);
+  if (claims.nonce !== pending.nonce) {
+    throw new Error('Nonce does not match');
+  }
+  if (!claims.email || !claims.email_verified) {
+    throw new Error('Google account has no verified email');
   }
   
-  // Get user info from Google
-  const userInfoRes = await fetch('https://www.googleapis.com/oauth2/v2/userinfo', {
-    headers: { 'Authorization': `Bearer ${accessToken}` }
+  return upsertUser(env, {
+    id: claims.sub,
+    email: claims.email,
+    name: claims.name || null,
+    picture: claims.picture || null
   });
+}
+
+// Google's signing keys, cached for as long as Google says they are valid
+let googleKeys = null;
+let googleKeysExpireAt = 0;
+
+async function getGoogleKeys(forceRefresh) {
+  if (!googleKeys || forceRefresh || googleKeysExpireAt < Date.now()) {
+    const response = await fetch(GOOGLE_CERTS_URL);
+    if (!response.ok) {
+      throw new Error(`Could not fetch Google keys: ${response.status}`);
+    }
+    
+    const maxAge = Number(/max-age=(\d+)/.exec(response.headers.get('Cache-Control') || '')?.[1]) || 0;
+    googleKeys = (await response.json()).keys;
+    googleKeysExpireAt = Date.now() + maxAge * 1000;
+  }
+  return googleKeys;
+}
+
+async function verifyGoogleIdToken(env, idToken) {
+  const [header, payload, signature] = (idToken || '').split('.');
+  if (!header || !payload || !signature) {
+    throw new Error('Malformed ID token');
+  }
+  
+  const { kid, alg } = JSON.parse(new TextDecoder().decode(base64UrlDecode(header)));
+  if (alg !== 'RS256') {
+    throw new Error(`Unexpected ID token algorithm: ${alg}`);
+  }
   
-  if (!userInfoRes.ok) {
-    return error('Failed to get user info from Google', 400, corsHeaders);
+  // Google rotates keys, so an unknown kid means our copy is stale
+  let jwk = (await getGoogleKeys()).find(key => key.kid === kid);
+  if (!jwk) {
+    jwk = (await getGoogleKeys(true)).find(key => key.kid === kid);
+  }
+  if (!jwk) {
+    throw new Error('ID token signed with an unknown key');
   }
   
-  const userInfo = await userInfoRes.json();
+  const key = await crypto.subtle.importKey(
+    'jwk', jwk, { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' }, false, ['verify']
+  );
+  const valid = await crypto.subtle.verify(
+    'RSASSA-PKCS1-v1_5', key, base64UrlDecode(signature), new TextEncoder().encode(`${header}.${payload}`)
+  );
+  if (!valid) {
+    throw new Error('Invalid ID token signature');
+  }
   
-  // Upsert user in database
+  const claims = JSON.parse(new TextDecoder().decode(base64UrlDecode(payload)));
+  if (!GOOGLE_ISSUERS.includes(claims.iss)) {
+    throw new Error(`Unexpected ID token issuer: ${claims.iss}`);
+  }
+  if (claims.aud !== env.GOOGLE_OAUTH_CLIENT_ID) {
+    throw new Error('ID token was issued to another client');
+  }
+  if (!(claims.exp > Date.now() / 1000)) {
+    throw new Error('ID token expired');
+  }
+  return claims;
+}
+
+async function upsertUser(env, userInfo) {
   const existingUser = await env.DB.prepare(
     'SELECT * FROM users WHERE id = ?'
   ).bind(userInfo.id).first();
@@ -238,24 +561,234 @@ async function handleGoogleCallback(request, env, corsHeaders) {
     ).bind(userInfo.email, userInfo.name, userInfo.picture, userInfo.id).run();
   }
   
-  // Return user info (in production, you'd issue a proper JWT or session)
+  await acceptInvitations(env, userInfo);
+  
+  return {
+    id: userInfo.id,
+    email: userInfo.email,
+    name: userInfo.name,
+    picture: userInfo.picture
+  };
+}
+
+// Requests carry a short-lived access token signed with SESSION_SECRET; a
+// refresh token (stored hashed, rotated on every use) renews it. Sessions
+// live in D1 so they can be listed and revoked per device.
+const ACCESS_TOKEN_TTL_SECONDS = 60 * 60;
+const SESSION_TTL_DAYS = 30;
+const SESSION_HANDOFF_COOKIE = 'session_handoff';
+const SESSION_HANDOFF_TTL_SECONDS = 2 * 60;
+
+// The session only lasts until the handoff cookie expires; claiming it
+// rotates the refresh token and extends it to the full lifetime
+async function createSession(user, request, env) {
+  const refreshToken = generateSecret();
+  const now = new Date();
+  
+  await env.DB.prepare(
+    `INSERT INTO sessions (id, user_id, refresh_hash, device_name, created_at, last_used_at, expires_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`
+  ).bind(
+    generateId(), user.id, await sha256(refreshToken), describeDevice(request.headers.get('User-Agent')),
+    now.toISOString(), now.toISOString(), new Date(now.getTime() + SESSION_HANDOFF_TTL_SECONDS * 1000).toISOString()
+  ).run();
+  
+  return refreshToken;
+}
+
+async function claimSession(request, env, corsHeaders) {
+  const url = new URL(request.url);
+  const headers = {
+    ...corsHeaders,
+    'Set-Cookie': buildCookie(url, SESSION_HANDOFF_COOKIE, '', { path: '/api/auth/claim', maxAge: 0 })
+  };
+  
+  const session = await rotateSession(env, getCookie(request, SESSION_HANDOFF_COOKIE));
+  if (!session) {
+    return error('No sign-in to complete', 401, headers);
+  }
+  
+  return json(session, headers);
+}
+
+async function refreshSession(request, env, corsHeaders) {
+  const { refreshToken } = await readBody(request, SCHEMAS.refreshSession);
+  
+  const session = await rotateSession(env, refreshToken);
+  if (!session) {
+    return error('Session expired', 401, corsHeaders);
+  }
+  
+  return json(session, corsHeaders);
+}
+
+// Swap a refresh token for a new one plus an access token. Returns null if
+// the token is unknown, expired or was already used.
+async function rotateSession(env, refreshToken) {
+  if (!refreshToken) return null;
+  
+  const now = new Date();
+  const currentHash = await sha256(refreshToken);
+  const session = await env.DB.prepare(
+    `SELECT s.id, u.id as userId, u.email, u.name, u.picture
+     FROM sessions s JOIN users u ON s.user_id = u.id
+     WHERE s.refresh_hash = ? AND s.expires_at > ?`
+  ).bind(currentHash, now.toISOString()).first();
+  
+  if (!session) return null;
+  
+  // The old refresh token stops working, even if another request raced us
+  // to it
+  const nextRefreshToken = generateSecret();
+  const result = await env.DB.prepare(
+    `UPDATE sessions SET refresh_hash = ?, last_used_at = ?, expires_at = ?
+     WHERE id = ? AND refresh_hash = ?`
+  ).bind(await sha256(nextRefreshToken), now.toISOString(), sessionExpiry(now), session.id, currentHash).run();
+  
+  if (result.meta.changes === 0) return null;
+  
+  return {
+    user: { id: session.userId, email: session.email, name: session.name, picture: session.picture },
+    sessionId: session.id,
+    accessToken: await signAccessToken(env, session.id, session.userId),
+    refreshToken: nextRefreshToken,
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS
+  };
+}
+
+async function logout(request, env, corsHeaders) {
+  const auth = await authenticateRequest(request, env);
+  
+  // An API token has no session to end; it is revoked from Settings
+  if (auth.user?.apiToken) {
+    return error('Not available with an API token', 403, corsHeaders, { code: 'token_scope' });
+  }
+  
+  if (auth.success) {
+    await env.DB.prepare('DELETE FROM sessions WHERE id = ?').bind(auth.sessionId).run();
+  }
+  
+  return json({ success: true }, corsHeaders);
+}
+
+async function getSessions(user, sessionId, env, corsHeaders) {
+  const { results } = await env.DB.prepare(
+    `SELECT id, device_name as deviceName, created_at as createdAt, last_used_at as lastUsedAt
+     FROM sessions WHERE user_id = ? AND expires_at > ?
+     ORDER BY last_used_at DESC`
+  ).bind(user.id, new Date().toISOString()).all();
+  
   return json({
-    user: {
-      id: userInfo.id,
-      email: userInfo.email,
-      name: userInfo.name,
-      picture: userInfo.picture
-    },
-    accessToken, // In production, issue your own token
-    expiresIn
+    sessions: (results || []).map(session => ({ ...session, current: session.id === sessionId }))
   }, corsHeaders);
 }
 
-async function logout(request, env, corsHeaders) {
-  // In a full implementation, you'd invalidate the token server-side
+async function revokeSession(user, revokeId, env, corsHeaders) {
+  await env.DB.prepare(
+    'DELETE FROM sessions WHERE id = ? AND user_id = ?'
+  ).bind(revokeId, user.id).run();
+  
+  return json({ success: true }, corsHeaders);
+}
+
+// Personal API tokens let scripts call the API without a browser session.
+// Each is limited to read or read-write, and optionally to some lists; the
+// secret is shown once and only its hash is stored.
+const API_TOKEN_PREFIX = 'slp_';
+const API_TOKEN_ACCESS = ['read', 'write'];
+
+async function getApiTokens(user, env, corsHeaders) {
+  const { results } = await env.DB.prepare(
+    `SELECT id, name, access, list_ids, created_at as createdAt, last_used_at as lastUsedAt
+     FROM api_tokens WHERE user_id = ? ORDER BY created_at DESC`
+  ).bind(user.id).all();
+  
+  return json({ tokens: (results || []).map(toApiToken) }, corsHeaders);
+}
+
+async function createApiToken(request, user, env, corsHeaders) {
+  const { name, access, listIds } = await readBody(request, SCHEMAS.createApiToken);
+  
+  for (const listId of listIds || []) {
+    const listAccess = await checkListAccess(listId, user, env);
+    if (!listAccess.access) {
+      return error(listAccess.error, listAccess.status, corsHeaders, listAccess);
+    }
+  }
+  
+  const id = generateId();
+  const secret = API_TOKEN_PREFIX + generateSecret();
+  const createdAt = new Date().toISOString();
+  
+  await env.DB.prepare(
+    `INSERT INTO api_tokens (id, user_id, name, token_hash, access, list_ids, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`
+  ).bind(id, user.id, name, await sha256(secret), access, listIds && JSON.stringify(listIds), createdAt).run();
+  
+  return json({
+    token: { id, name, access, listIds, createdAt, lastUsedAt: null },
+    secret
+  }, corsHeaders);
+}
+
+async function revokeApiToken(user, tokenId, env, corsHeaders) {
+  await env.DB.prepare(
+    'DELETE FROM api_tokens WHERE id = ? AND user_id = ?'
+  ).bind(tokenId, user.id).run();
+  
   return json({ success: true }, corsHeaders);
 }
 
+function toApiToken({ list_ids, ...token }) {
+  return { ...token, listIds: list_ids ? JSON.parse(list_ids) : null };
+}
+
+async function authenticateApiToken(env, token) {
+  const row = await env.DB.prepare(
+    `SELECT t.id as tokenId, t.name as tokenName, t.access, t.list_ids, u.id, u.email, u.name, u.picture
+     FROM api_tokens t JOIN users u ON t.user_id = u.id
+     WHERE t.token_hash = ?`
+  ).bind(await sha256(token)).first();
+  
+  if (!row) {
+    return { success: false, error: 'Invalid token' };
+  }
+  
+  await env.DB.prepare(
+    'UPDATE api_tokens SET last_used_at = ? WHERE id = ?'
+  ).bind(new Date().toISOString(), row.tokenId).run();
+  
+  const { tokenId, tokenName, access, list_ids, ...user } = row;
+  return {
+    success: true,
+    user: { ...user, apiToken: toApiToken({ id: tokenId, name: tokenName, access, list_ids }) }
+  };
+}
+
+// Who can reach a list and who owns it: shares, invitations, invite links,
+// ownership, membership, and renaming, archiving or deleting the list
+const LIST_MANAGEMENT_ROUTE = /^\/api\/list\/[\w-]+\/(share|shares|invitations|invite-links|transfer|membership)(\/|$)/;
+
+// What an API token may not do, or null if the request is allowed. Account
+// settings and list management stay out of reach, so a leaked token can
+// neither mint more tokens nor hand the list to someone else (an invite
+// link is as good as a token).
+function checkApiTokenRequest(apiToken, url, request) {
+  if (url.pathname.startsWith('/api/auth/') || url.pathname.startsWith('/api/tokens') || url.pathname.startsWith('/api/invite-links') || url.pathname.startsWith('/api/user')) {
+    return 'Not available with an API token';
+  }
+  if (LIST_MANAGEMENT_ROUTE.test(url.pathname) || (/^\/api\/list\/[\w-]+$/.test(url.pathname) && request.method !== 'GET')) {
+    return 'Managing lists is not available with an API token';
+  }
+  if (apiToken.access === 'read' && request.method !== 'GET') {
+    return 'This API token is read-only';
+  }
+  if (apiToken.listIds && (url.pathname === '/api/list' || url.pathname.endsWith('/duplicate'))) {
+    return 'This API token is limited to specific lists';
+  }
+  return null;
+}
+
 async function getUser(request, env, corsHeaders) {
   const auth = await authenticateRequest(request, env);
   if (!auth.success) {
@@ -266,150 +799,402 @@ async function getUser(request, env, corsHeaders) {
 }
 
 async function authenticateRequest(request, env) {
-  const authHeader = request.headers.get('Authorization');
+  const token = getRequestToken(request);
   
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+  if (!token) {
     return { success: false, error: 'Missing authorization' };
   }
   
-  const token = authHeader.substring(7);
-  
   try {
-    const userInfoRes = await fetch('https://www.googleapis.com/oauth2/v2/userinfo', {
-      headers: { 'Authorization': `Bearer ${token}` }
-    });
+    if (token.startsWith(API_TOKEN_PREFIX)) {
+      return await authenticateApiToken(env, token);
+    }
     
-    if (!userInfoRes.ok) {
+    const claims = await verifyAccessToken(env, token);
+    if (!claims) {
       return { success: false, error: 'Invalid token' };
     }
     
-    const userInfo = await userInfoRes.json();
-    
-    // Ensure user exists in our DB
+    // Revoked sessions stop working immediately, not when the token expires
     const user = await env.DB.prepare(
-      'SELECT * FROM users WHERE id = ?'
-    ).bind(userInfo.id).first();
+      `SELECT u.id, u.email, u.name, u.picture
+       FROM sessions s JOIN users u ON s.user_id = u.id
+       WHERE s.id = ? AND s.expires_at > ?`
+    ).bind(claims.sid, new Date().toISOString()).first();
     
     if (!user) {
-      // Create user on the fly
-      await env.DB.prepare(
-        'INSERT INTO users (id, email, name, picture) VALUES (?, ?, ?, ?)'
-      ).bind(userInfo.id, userInfo.email, userInfo.name, userInfo.picture).run();
-      
-      return {
-        success: true,
-        user: {
-          id: userInfo.id,
-          email: userInfo.email,
-          name: userInfo.name,
-          picture: userInfo.picture
-        }
-      };
+      return { success: false, error: 'Session expired' };
     }
     
-    return {
-      success: true,
-      user: {
-        id: userInfo.id,
-        email: user.email,
-        name: user.name,
-        picture: user.picture
-      }
-    };
+    return { success: true, user, sessionId: claims.sid };
   } catch (e) {
+    console.error('Authentication failed:', e);
     return { success: false, error: 'Authentication failed' };
   }
 }
 
-async function checkListAccess(listId, userId, env) {
-  // Check if user is owner
-  const list = await env.DB.prepare(
-    'SELECT * FROM lists WHERE id = ?'
-  ).bind(listId).first();
-  
-  if (!list) {
-    return { access: false, error: 'List not found: ' + listId };
-  }
-  
-  if (list.owner_id === userId) {
-    return { access: true, list, role: 'owner' };
-  }
+// Requests per minute are capped with Workers rate limiting bindings (see
+// wrangler.toml). Without a binding nothing is limited.
+async function withinRateLimit(limiter, key) {
+  if (!limiter || !key) return true;
+  const { success } = await limiter.limit({ key });
+  return success;
+}
+
+function rateLimited(corsHeaders) {
+  return error('Too many requests, try again in a minute', 429, { ...corsHeaders, 'Retry-After': '60' });
+}
+
+// Access tokens are "<base64url payload>.<base64url HMAC-SHA256>"
+async function signAccessToken(env, sessionId, userId) {
+  const payload = base64UrlEncode(new TextEncoder().encode(JSON.stringify({
+    sid: sessionId,
+    sub: userId,
+    exp: Math.floor(Date.now() / 1000) + ACCESS_TOKEN_TTL_SECONDS
+  })));
+  const signature = await crypto.subtle.sign('HMAC', await getSessionKey(env), new TextEncoder().encode(payload));
+  return `${payload}.${base64UrlEncode(new Uint8Array(signature))}`;
+}
+
+async function verifyAccessToken(env, token) {
+  const [payload, signature] = token.split('.');
+  if (!payload || !signature) return null;
   
-  // Check if user is collaborator
-  const share = await env.DB.prepare(
-    'SELECT * FROM list_shares WHERE list_id = ? AND user_id = ?'
-  ).bind(listId, userId).first();
+  const valid = await crypto.subtle.verify(
+    'HMAC', await getSessionKey(env), base64UrlDecode(signature), new TextEncoder().encode(payload)
+  );
+  if (!valid) return null;
   
-  if (share) {
-    return { access: true, list, role: share.role };
+  const claims = JSON.parse(new TextDecoder().decode(base64UrlDecode(payload)));
+  return claims.exp > Date.now() / 1000 ? claims : null;
+}
+
+async function getSessionKey(env) {
+  if (!env.SESSION_SECRET) {
+    throw new Error('SESSION_SECRET is not configured');
   }
-  
-  return { access: false, error: 'Access denied for user: ' + userId };
+  return crypto.subtle.importKey(
+    'raw', new TextEncoder().encode(env.SESSION_SECRET), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign', 'verify']
+  );
 }
 
-// List Functions
+function sessionExpiry(from) {
+  return new Date(from.getTime() + SESSION_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString();
+}
 
-async function getUserLists(user, env, corsHeaders) {
-  // Get lists owned by user
-  const ownedLists = await env.DB.prepare(
-    'SELECT id, name, owner_id as ownerId, created_at as createdAt, updated_at as updatedAt FROM lists WHERE owner_id = ? AND deleted = FALSE ORDER BY updated_at DESC'
-  ).bind(user.id).all();
-  
-  // Get lists shared with user
-  const sharedLists = await env.DB.prepare(
-    'SELECT l.id, l.name, l.owner_id as ownerId, l.created_at as createdAt, l.updated_at as updatedAt, ls.role FROM lists l JOIN list_shares ls ON l.id = ls.list_id WHERE ls.user_id = ? AND l.deleted = FALSE ORDER BY l.updated_at DESC'
-  ).bind(user.id).all();
+// "Chrome on Android" - enough to tell a user's devices apart
+function describeDevice(userAgent) {
+  if (!userAgent) return 'Unknown device';
   
-  // Combine and mark ownership
-  const lists = [
-    ...(ownedLists.results || []).map(l => ({ ...l, access: 'owner' })),
-    ...(sharedLists.results || []).map(l => ({ ...l, access: l.role }))
-  ];
+  const browser = [['Edg/', 'Edge'], ['Firefox/', 'Firefox'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari']]
+    .find(([marker]) => userAgent.includes(marker))?.[1] || 'Browser';
+  const os = [['Android', 'Android'], ['iPhone', 'iPhone'], ['iPad', 'iPad'], ['Windows', 'Windows'], ['Mac OS', 'macOS'], ['Linux', 'Linux']]
+    .find(([marker]) => userAgent.includes(marker))?.[1];
   
-  return json({ lists }, corsHeaders);
+  return os ? `${browser} on ${os}` : browser;
 }
 
-async function createList(request, user, env, corsHeaders) {
-  const body = await request.json();
-  const { name } = body;
+// Browsers cannot set headers on WebSocket connections, so those pass the
+// token as a query parameter instead
+function getRequestToken(request) {
+  const authHeader = request.headers.get('Authorization');
   
-  if (!name) {
-    return error('List name required', 400, corsHeaders);
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    return authHeader.substring(7);
   }
   
-  const id = generateId();
+  if (request.headers.get('Upgrade') === 'websocket') {
+    return new URL(request.url).searchParams.get('token');
+  }
   
-  await env.DB.prepare(
-    'INSERT INTO lists (id, name, owner_id) VALUES (?, ?, ?)'
-  ).bind(id, name, user.id).run();
+  return null;
+}
+
+function getCookie(request, name) {
+  const cookies = request.headers.get('Cookie') || '';
+  const match = cookies.split(';').map(c => c.trim()).find(c => c.startsWith(`${name}=`));
+  return match ? decodeURIComponent(match.slice(name.length + 1)) : null;
+}
+
+// Sign-in cookies are HttpOnly so page scripts never see them. `wrangler dev`
+// serves plain http, where browsers drop Secure cookies.
+function buildCookie(url, name, value, { path, maxAge, sameSite = 'Strict' }) {
+  const secure = url.protocol === 'https:' ? '; Secure' : '';
+  return `${name}=${encodeURIComponent(value)}; Path=${path}; Max-Age=${maxAge}; HttpOnly; SameSite=${sameSite}${secure}`;
+}
+
+// What each role may do on a list. Only the owner can delete it.
+const ROLE_PERMISSIONS = {
+  owner: ['read', 'write', 'share'],
+  'co-owner': ['read', 'write', 'share'],
+  editor: ['read', 'write'],
+  viewer: ['read']
+};
+
+// Roles a share can carry (everyone but the owner)
+const SHARE_ROLES = ['viewer', 'editor', 'co-owner'];
+const DEFAULT_SHARE_ROLE = 'editor';
+
+function hasPermission(access, permission) {
+  return access.access && (ROLE_PERMISSIONS[access.role] || []).includes(permission);
+}
+
+const NO_LIST_ACCESS = { access: false, status: 403, error: 'List not found or not shared with you', code: 'no_list_access' };
+
+// Only people who could see the list learn that it was deleted, so their
+// devices can drop it
+const LIST_DELETED = { access: false, status: 410, error: 'This list has been deleted', code: 'list_deleted' };
+
+async function checkListAccess(listId, user, env) {
+  const userId = user.id;
   
-  // Create default "Uncategorized" category
-  const defaultCategoryId = generateId();
-  await env.DB.prepare(
-    'INSERT INTO categories (id, list_id, name, sort_order) VALUES (?, ?, ?, ?)'
-  ).bind(defaultCategoryId, id, 'Uncategorized', 0).run();
+  // API tokens can be limited to some of the user's lists
+  if (user.apiToken?.listIds && !user.apiToken.listIds.includes(listId)) {
+    return { access: false, status: 403, error: 'This API token cannot access this list', code: 'token_scope' };
+  }
   
-  return json({ 
-    id, 
-    name, 
-    defaultCategoryId,
-    access: 'owner'
+  // Check if user is owner
+  const list = await env.DB.prepare(
+    'SELECT * FROM lists WHERE id = ?'
+  ).bind(listId).first();
+  
+  // Missing and inaccessible lists look the same, so ids cannot be probed
+  if (!list) {
+    return NO_LIST_ACCESS;
+  }
+  
+  if (list.owner_id === userId) {
+    return list.deleted ? LIST_DELETED : { access: true, list, role: 'owner' };
+  }
+  
+  // Check if the list is shared with the user
+  const share = await env.DB.prepare(
+    'SELECT * FROM list_shares WHERE list_id = ? AND user_id = ?'
+  ).bind(listId, userId).first();
+  
+  if (share) {
+    return list.deleted ? LIST_DELETED : { access: true, list, role: share.role };
+  }
+  
+  return NO_LIST_ACCESS;
+}
+
+// Account Functions
+
+// Everything the user can reach, as one JSON file
+async function exportAccount(user, env, corsHeaders) {
+  const account = await env.DB.prepare(
+    'SELECT id, email, name, picture, created_at as createdAt FROM users WHERE id = ?'
+  ).bind(user.id).first();
+  
+  const { results: lists } = await env.DB.prepare(
+    `SELECT l.id, l.name, l.owner_id as ownerId, l.archived, l.budget, l.created_at as createdAt,
+            CASE WHEN l.owner_id = ?1 THEN 'owner' ELSE ls.role END as access
+     FROM lists l
+     LEFT JOIN list_shares ls ON ls.list_id = l.id AND ls.user_id = ?1
+     WHERE l.deleted = FALSE AND (l.owner_id = ?1 OR ls.user_id IS NOT NULL)
+     ORDER BY l.created_at`
+  ).bind(user.id).all();
+  
+  for (const list of lists || []) {
+    const [categories, items, shares, invitations] = await env.DB.batch([
+      env.DB.prepare(
+        `SELECT id, name, sort_order as sortOrder FROM categories
+         WHERE list_id = ? AND deleted = FALSE ORDER BY sort_order`
+      ).bind(list.id),
+      env.DB.prepare(
+        `SELECT id, text, quantity, unit, notes, price, completed, category_id as categoryId, recurrence,
+                created_at as createdAt, updated_at as updatedAt
+         FROM items WHERE list_id = ? AND deleted = FALSE ORDER BY created_at`
+      ).bind(list.id),
+      env.DB.prepare(
+        `SELECT u.email, u.name, ls.role, ls.created_at as createdAt FROM list_shares ls
+         JOIN users u ON ls.user_id = u.id WHERE ls.list_id = ?`
+      ).bind(list.id),
+      env.DB.prepare(
+        'SELECT email, role, created_at as createdAt FROM list_invitations WHERE list_id = ?'
+      ).bind(list.id)
+    ]);
+    
+    list.archived = !!list.archived;
+    list.categories = categories.results;
+    list.items = items.results.map(i => ({ ...i, completed: !!i.completed, recurrence: parseRecurrence(i.recurrence) }));
+    list.shares = shares.results;
+    list.invitations = invitations.results;
+  }
+  
+  const { results: templates } = await env.DB.prepare(
+    'SELECT name, contents, created_at as createdAt, updated_at as updatedAt FROM list_templates WHERE user_id = ? ORDER BY name'
+  ).bind(user.id).all();
+  
+  const exportedAt = new Date().toISOString();
+  
+  return json({
+    exportedAt,
+    user: account,
+    lists: lists || [],
+    templates: (templates || []).map(({ contents, ...template }) => ({ ...template, ...JSON.parse(contents) }))
+  }, {
+    ...corsHeaders,
+    'Content-Disposition': `attachment; filename="shopping-list-export-${exportedAt.slice(0, 10)}.json"`
+  });
+}
+
+// Owned lists named in `transfers` ({ [listId]: userId }) go to that member;
+// every other owned list is deleted along with its items (marked deleted
+// while other members still have it). Shares, sessions,
+// API tokens and templates are removed. Activity entries stay with their lists.
+async function deleteAccount(request, user, env, ctx, corsHeaders) {
+  const { transfers } = await readBody(request, SCHEMAS.deleteAccount);
+  
+  const { results: owned } = await env.DB.prepare(
+    `SELECT id, name, deleted, EXISTS (SELECT 1 FROM list_shares WHERE list_id = lists.id) AS shared
+     FROM lists WHERE owner_id = ?`
+  ).bind(user.id).all();
+  const ownedIds = new Set((owned || []).map(l => l.id));
+  
+  const statements = [];
+  
+  for (const [listId, newOwnerId] of Object.entries(transfers)) {
+    if (!ownedIds.has(listId)) {
+      return error(`You do not own list ${listId}`, 400, corsHeaders, { code: 'invalid_reference' });
+    }
+    
+    const share = await env.DB.prepare(
+      `SELECT u.name, u.email FROM list_shares ls
+       JOIN users u ON ls.user_id = u.id
+       WHERE ls.list_id = ? AND ls.user_id = ?`
+    ).bind(listId, newOwnerId).first();
+    
+    if (!share) {
+      return error(`List ${listId} can only be transferred to someone it is shared with`, 400, corsHeaders, { code: 'invalid_reference' });
+    }
+    
+    statements.push(
+      env.DB.prepare('UPDATE lists SET owner_id = ? WHERE id = ?').bind(newOwnerId, listId),
+      env.DB.prepare('DELETE FROM list_shares WHERE list_id = ? AND user_id = ?').bind(listId, newOwnerId),
+      logActivity(env, { listId, userId: user.id, action: 'ownership_transferred', entityId: newOwnerId, summary: share.name || share.email })
+    );
+  }
+  
+  const { results: memberships } = await env.DB.prepare(
+    'SELECT list_id as listId FROM list_shares WHERE user_id = ?'
+  ).bind(user.id).all();
+  
+  for (const { listId } of memberships || []) {
+    statements.push(
+      logActivity(env, { listId, userId: user.id, action: 'member_left', entityId: user.id, summary: user.name || user.email })
+    );
+  }
+  
+  // Lists other people still use are marked deleted, as deleteList does, so
+  // their devices hear it and drop them. The tombstone still needs an owner
+  // until it is purged, so it passes to one of its members.
+  const now = new Date().toISOString();
+  const orphaned = (owned || []).filter(list => list.shared && !Object.hasOwn(transfers, list.id));
+  for (const list of orphaned) {
+    statements.push(
+      env.DB.prepare(
+        `UPDATE lists SET deleted = TRUE, updated_at = ?,
+           owner_id = (SELECT user_id FROM list_shares WHERE list_id = lists.id ORDER BY created_at LIMIT 1)
+         WHERE id = ?`
+      ).bind(now, list.id)
+    );
+    if (!list.deleted) {
+      statements.push(logActivity(env, { listId: list.id, userId: user.id, action: 'list_deleted', summary: list.name }));
+    }
+  }
+  
+  // Items, categories, shares and links of the rest go with the list (ON DELETE CASCADE)
+  statements.push(env.DB.prepare('DELETE FROM lists WHERE owner_id = ?').bind(user.id));
+  
+  // Invitations and links this user created on lists that live on now belong
+  // to each list's owner
+  statements.push(
+    env.DB.prepare(
+      `UPDATE list_invitations SET invited_by = (SELECT owner_id FROM lists WHERE lists.id = list_invitations.list_id)
+       WHERE invited_by = ?`
+    ).bind(user.id),
+    env.DB.prepare(
+      `UPDATE invite_links SET created_by = (SELECT owner_id FROM lists WHERE lists.id = invite_links.list_id)
+       WHERE created_by = ?`
+    ).bind(user.id),
+    env.DB.prepare('DELETE FROM list_shares WHERE user_id = ?').bind(user.id),
+    env.DB.prepare('DELETE FROM sessions WHERE user_id = ?').bind(user.id),
+    env.DB.prepare('DELETE FROM api_tokens WHERE user_id = ?').bind(user.id),
+    env.DB.prepare('DELETE FROM list_templates WHERE user_id = ?').bind(user.id),
+    env.DB.prepare('DELETE FROM users WHERE id = ?').bind(user.id)
+  );
+  
+  await env.DB.batch(statements);
+  
+  ctx.waitUntil(Promise.all([
+    ...orphaned.filter(list => !list.deleted).map(list => broadcastListInfo(env, list.id, { deleted: true })),
+    ...[...ownedIds].map(listId => disconnectLiveUser(env, listId, user.id)),
+    ...(memberships || []).map(({ listId }) => disconnectLiveUser(env, listId, user.id))
+  ]));
+  
+  return json({
+    success: true,
+    transferredLists: Object.keys(transfers).length,
+    deletedLists: ownedIds.size - Object.keys(transfers).length
   }, corsHeaders);
 }
 
+// List Functions
+
+async function getUserLists(user, env, corsHeaders) {
+  // Get lists owned by user
+  const ownedLists = await env.DB.prepare(
+    'SELECT id, name, owner_id as ownerId, archived, budget, created_at as createdAt, updated_at as updatedAt FROM lists WHERE owner_id = ? AND deleted = FALSE ORDER BY updated_at DESC'
+  ).bind(user.id).all();
+  
+  // Get lists shared with user
+  const sharedLists = await env.DB.prepare(
+    'SELECT l.id, l.name, l.owner_id as ownerId, l.archived, l.budget, l.created_at as createdAt, l.updated_at as updatedAt, ls.role FROM lists l JOIN list_shares ls ON l.id = ls.list_id WHERE ls.user_id = ? AND l.deleted = FALSE ORDER BY l.updated_at DESC'
+  ).bind(user.id).all();
+  
+  // Combine and mark ownership
+  const lists = [
+    ...(ownedLists.results || []).map(l => ({ ...l, archived: !!l.archived, access: 'owner' })),
+    ...(sharedLists.results || []).map(l => ({ ...l, archived: !!l.archived, access: l.role }))
+  ].filter(l => !user.apiToken?.listIds || user.apiToken.listIds.includes(l.id));
+  
+  return json({ lists }, corsHeaders);
+}
+
+async function createList(request, user, env, corsHeaders) {
+  const { name, templateId } = await readBody(request, SCHEMAS.createList);
+  
+  if (!templateId) {
+    return json(await createListWithContents(env, user, name, EMPTY_LIST_CONTENTS), corsHeaders);
+  }
+  
+  const template = await env.DB.prepare(
+    'SELECT name, contents FROM list_templates WHERE id = ? AND user_id = ?'
+  ).bind(templateId, user.id).first();
+  
+  if (!template) {
+    return error('Template not found', 400, corsHeaders, { code: 'invalid_reference' });
+  }
+  
+  const list = await createListWithContents(env, user, name, JSON.parse(template.contents), { template: template.name });
+  return json(list, corsHeaders);
+}
+
 async function getList(listId, user, env, corsHeaders) {
-  const access = await checkListAccess(listId, user.id, env);
+  const access = await checkListAccess(listId, user, env);
   
   if (!access.access) {
-    return error(access.error, 403, corsHeaders);
+    return error(access.error, access.status, corsHeaders, access);
   }
   
   const list = access.list;
   
   // Get items
   const itemsResult = await env.DB.prepare(
-    `SELECT i.id, i.text, i.completed, i.category_id as categoryId, 
-            c.name as categoryName, i.updated_at as updatedAt 
+    `SELECT i.id, i.text, i.quantity, i.unit, i.notes, i.price, i.completed, i.category_id as categoryId, i.recurrence,
+            c.name as categoryName, i.field_versions as fieldVersions, i.updated_at as updatedAt 
      FROM items i
      LEFT JOIN categories c ON i.category_id = c.id
      WHERE i.list_id = ? AND i.deleted = FALSE 
@@ -418,7 +1203,7 @@ async function getList(listId, user, env, corsHeaders) {
   
   // Get categories
   const categoriesResult = await env.DB.prepare(
-    `SELECT id, name, sort_order as sortOrder
+    `SELECT id, name, sort_order as sortOrder, field_versions as fieldVersions
      FROM categories
      WHERE list_id = ? AND deleted = FALSE
      ORDER BY sort_order ASC, name ASC`
@@ -428,35 +1213,120 @@ async function getList(listId, user, env, corsHeaders) {
     id: list.id, 
     name: list.name,
     access: access.role,
-    items: itemsResult.results || [],
-    categories: categoriesResult.results || []
+    archived: !!list.archived,
+    budget: list.budget,
+    items: (itemsResult.results || []).map(i => ({
+      ...i,
+      completed: !!i.completed,
+      recurrence: parseRecurrence(i.recurrence),
+      fieldVersions: parseFieldVersions(i.fieldVersions)
+    })),
+    categories: (categoriesResult.results || []).map(c => ({
+      ...c,
+      fieldVersions: parseFieldVersions(c.fieldVersions)
+    }))
   }, corsHeaders);
 }
 
-async function shareList(listId, request, user, env, corsHeaders) {
-  const access = await checkListAccess(listId, user.id, env);
+async function updateList(listId, request, user, env, ctx, corsHeaders) {
+  const access = await checkListAccess(listId, user, env);
+  
+  if (!access.access) {
+    return error(access.error, access.status, corsHeaders, access);
+  }
+  
+  if (access.role !== 'owner') {
+    return error('Only the owner can rename or archive the list or set its budget', 403, corsHeaders);
+  }
+  
+  const { name, archived, budget } = await readBody(request, SCHEMAS.updateList);
+  if (name === undefined && archived === undefined && budget === undefined) {
+    return error('Nothing to update; send a name, archived or budget', 400, corsHeaders, { code: 'validation_failed' });
+  }
+  if (name === '') {
+    return error('name is required', 400, corsHeaders, { code: 'validation_failed' });
+  }
+  
+  const list = access.list;
+  const updated = {
+    name: name ?? list.name,
+    archived: archived ?? !!list.archived,
+    budget: budget === undefined ? list.budget : budget
+  };
+  
+  const activity = [];
+  if (updated.name !== list.name) {
+    activity.push(logActivity(env, { listId, userId: user.id, action: 'list_renamed', summary: updated.name, details: { from: list.name, to: updated.name } }));
+  }
+  if (updated.archived !== !!list.archived) {
+    activity.push(logActivity(env, { listId, userId: user.id, action: updated.archived ? 'list_archived' : 'list_unarchived', summary: updated.name }));
+  }
+  if (updated.budget !== list.budget) {
+    activity.push(logActivity(env, { listId, userId: user.id, action: 'list_budget_changed', summary: updated.name, details: { budget: updated.budget } }));
+  }
+  
+  if (activity.length > 0) {
+    await env.DB.batch([
+      env.DB.prepare(
+        'UPDATE lists SET name = ?, archived = ?, budget = ?, updated_at = ? WHERE id = ?'
+      ).bind(updated.name, updated.archived ? 1 : 0, updated.budget, new Date().toISOString(), listId),
+      ...activity
+    ]);
+    ctx.waitUntil(broadcastListInfo(env, listId, updated));
+  }
+  
+  return json({ id: listId, ...updated }, corsHeaders);
+}
+
+// Lists are soft-deleted so collaborators' devices hear about it on their
+// next sync (as list_deleted), then purged with the other tombstones
+async function deleteList(listId, user, env, ctx, corsHeaders) {
+  const access = await checkListAccess(listId, user, env);
   
   if (!access.access) {
-    return error(access.error, 403, corsHeaders);
+    return error(access.error, access.status, corsHeaders, access);
   }
   
   if (access.role !== 'owner') {
-    return error('Only owner can share list', 403, corsHeaders);
+    return error('Only the owner can delete the list', 403, corsHeaders);
   }
   
-  const { email } = await request.json();
+  await env.DB.batch([
+    env.DB.prepare(
+      'UPDATE lists SET deleted = TRUE, updated_at = ? WHERE id = ?'
+    ).bind(new Date().toISOString(), listId),
+    logActivity(env, { listId, userId: user.id, action: 'list_deleted', summary: access.list.name })
+  ]);
+  
+  ctx.waitUntil(broadcastListInfo(env, listId, { deleted: true }));
+  
+  return json({ success: true }, corsHeaders);
+}
+
+// Deliberately loose; quotes and angle brackets are refused because
+// invitation emails are echoed back into the share dialog
+const EMAIL_PATTERN = /^[^\s@'"<>]+@[^\s@'"<>]+$/;
+
+async function shareList(listId, request, user, env, corsHeaders) {
+  const access = await checkListAccess(listId, user, env);
+  
+  if (!access.access) {
+    return error(access.error, access.status, corsHeaders, access);
+  }
   
-  if (!email) {
-    return error('Email required', 400, corsHeaders);
+  if (!hasPermission(access, 'share')) {
+    return error('Only owners and co-owners can share the list', 403, corsHeaders);
   }
   
+  const { email, role } = await readBody(request, SCHEMAS.shareList);
+  
   // Find user by email
   const targetUser = await env.DB.prepare(
-    'SELECT id, email, name, picture FROM users WHERE email = ?'
+    'SELECT id, email, name, picture FROM users WHERE LOWER(email) = ?'
   ).bind(email).first();
   
   if (!targetUser) {
-    return error('User not found. They must sign in first.', 404, corsHeaders);
+    return inviteByEmail(listId, email, role, user, env, corsHeaders);
   }
   
   if (targetUser.id === user.id) {
@@ -469,13 +1339,16 @@ async function shareList(listId, request, user, env, corsHeaders) {
   ).bind(listId, targetUser.id).first();
   
   if (existingShare) {
-    return error('List already shared with this user', 400, corsHeaders);
+    return error('List already shared with this user', 400, corsHeaders, { code: 'already_shared' });
   }
   
   // Add share
-  await env.DB.prepare(
-    'INSERT INTO list_shares (list_id, user_id, role) VALUES (?, ?, ?)'
-  ).bind(listId, targetUser.id, 'collaborator').run();
+  await env.DB.batch([
+    env.DB.prepare(
+      'INSERT INTO list_shares (list_id, user_id, role) VALUES (?, ?, ?)'
+    ).bind(listId, targetUser.id, role),
+    logActivity(env, { listId, userId: user.id, action: 'share_added', entityId: targetUser.id, summary: targetUser.name || targetUser.email })
+  ]);
   
   return json({ 
     success: true, 
@@ -483,16 +1356,95 @@ async function shareList(listId, request, user, env, corsHeaders) {
       id: targetUser.id,
       email: targetUser.email,
       name: targetUser.name,
-      picture: targetUser.picture
+      picture: targetUser.picture,
+      role
     }
   }, corsHeaders);
 }
 
+// Nobody has signed in with this email yet, so remember the invitation until
+// they do (see acceptInvitations)
+async function inviteByEmail(listId, email, role, user, env, corsHeaders) {
+  const existingInvitation = await env.DB.prepare(
+    'SELECT 1 FROM list_invitations WHERE list_id = ? AND email = ?'
+  ).bind(listId, email).first();
+  
+  if (existingInvitation) {
+    return error('This email has already been invited', 400, corsHeaders, { code: 'already_invited' });
+  }
+  
+  await env.DB.batch([
+    env.DB.prepare(
+      'INSERT INTO list_invitations (list_id, email, invited_by, role) VALUES (?, ?, ?, ?)'
+    ).bind(listId, email, user.id, role),
+    logActivity(env, { listId, userId: user.id, action: 'invitation_added', summary: email })
+  ]);
+  
+  return json({ success: true, invited: { email, role } }, corsHeaders);
+}
+
+async function removeInvitation(listId, email, user, env, corsHeaders) {
+  const access = await checkListAccess(listId, user, env);
+  
+  if (!access.access) {
+    return error(access.error, access.status, corsHeaders, access);
+  }
+  
+  if (!hasPermission(access, 'share')) {
+    return error('Only owners and co-owners can remove invitations', 403, corsHeaders);
+  }
+  
+  const invitedEmail = email.toLowerCase();
+  const invitation = await env.DB.prepare(
+    'SELECT 1 FROM list_invitations WHERE list_id = ? AND email = ?'
+  ).bind(listId, invitedEmail).first();
+  
+  if (!invitation) {
+    return json({ success: true }, corsHeaders);
+  }
+  
+  await env.DB.batch([
+    env.DB.prepare(
+      'DELETE FROM list_invitations WHERE list_id = ? AND email = ?'
+    ).bind(listId, invitedEmail),
+    logActivity(env, { listId, userId: user.id, action: 'invitation_removed', summary: invitedEmail })
+  ]);
+  
+  return json({ success: true }, corsHeaders);
+}
+
+// Runs on every sign-in: invitations sent to this email before the person
+// had an account become ordinary shares
+async function acceptInvitations(env, user) {
+  const email = (user.email || '').toLowerCase();
+  const { results: invitations } = await env.DB.prepare(
+    'SELECT list_id as listId, invited_by as invitedBy, role FROM list_invitations WHERE email = ?'
+  ).bind(email).all();
+  
+  if (!invitations || invitations.length === 0) return;
+  
+  await env.DB.batch([
+    ...invitations.flatMap(invitation => [
+      env.DB.prepare(
+        'INSERT OR IGNORE INTO list_shares (list_id, user_id, role) VALUES (?, ?, ?)'
+      ).bind(invitation.listId, user.id, invitation.role || DEFAULT_SHARE_ROLE),
+      logActivity(env, {
+        listId: invitation.listId,
+        userId: invitation.invitedBy,
+        action: 'share_added',
+        entityId: user.id,
+        summary: user.name || user.email
+      })
+    ]),
+    env.DB.prepare('DELETE FROM list_invitations WHERE email = ?').bind(email)
+  ]);
+}
+
 async function getListShares(listId, user, env, corsHeaders) {
-  const access = await checkListAccess(listId, user.id, env);
+  const access = await checkListAccess(listId, user, env);
   
   if (!access.access) {
-    return error(access.error, 403, corsHeaders);
+    return error(access.error, access.status, corsHeaders, access);
   }
   
   const shares = await env.DB.prepare(
@@ -502,292 +1454,1866 @@ async function getListShares(listId, user, env, corsHeaders) {
      WHERE ls.list_id = ?`
   ).bind(listId).all();
   
-  return json({ shares: shares.results || [] }, corsHeaders);
+  // Pending invitees have not agreed to anything, so only the people who
+  // can invite see who they are
+  if (!hasPermission(access, 'share')) {
+    return json({ shares: shares.results || [], invitations: [] }, corsHeaders);
+  }
+  
+  const invitations = await env.DB.prepare(
+    `SELECT email, role, created_at as createdAt FROM list_invitations
+     WHERE list_id = ? ORDER BY created_at`
+  ).bind(listId).all();
+  
+  return json({ shares: shares.results || [], invitations: invitations.results || [] }, corsHeaders);
 }
 
-async function removeShare(listId, shareUserId, user, env, corsHeaders) {
-  const access = await checkListAccess(listId, user.id, env);
+async function updateShareRole(listId, shareUserId, request, user, env, ctx, corsHeaders) {
+  const access = await checkListAccess(listId, user, env);
   
   if (!access.access) {
-    return error(access.error, 403, corsHeaders);
+    return error(access.error, access.status, corsHeaders, access);
   }
   
-  if (access.role !== 'owner') {
-    return error('Only owner can remove shares', 403, corsHeaders);
+  if (!hasPermission(access, 'share')) {
+    return error('Only owners and co-owners can change roles', 403, corsHeaders);
   }
   
-  await env.DB.prepare(
-    'DELETE FROM list_shares WHERE list_id = ? AND user_id = ?'
-  ).bind(listId, shareUserId).run();
+  const { role } = await readBody(request, SCHEMAS.updateShareRole);
   
-  return json({ success: true }, corsHeaders);
-}
-
-// Category Functions
-
-async function getCategories(listId, user, env, corsHeaders) {
-  const access = await checkListAccess(listId, user.id, env);
+  const share = await env.DB.prepare(
+    `SELECT ls.role, u.name, u.email FROM list_shares ls
+     JOIN users u ON ls.user_id = u.id
+     WHERE ls.list_id = ? AND ls.user_id = ?`
+  ).bind(listId, shareUserId).first();
   
-  if (!access.access) {
-    return error(access.error, 403, corsHeaders);
+  if (!share) {
+    return error('Share not found', 404, corsHeaders);
   }
   
-  const { results: categories } = await env.DB.prepare(
-    `SELECT id, name, sort_order as sortOrder, updated_at as updatedAt
-     FROM categories
-     WHERE list_id = ? AND deleted = FALSE
-     ORDER BY sort_order ASC, name ASC`
-  ).bind(listId).all();
+  if (share.role === role) {
+    return json({ success: true, role }, corsHeaders);
+  }
   
-  return json({ categories: categories || [] }, corsHeaders);
+  await env.DB.batch([
+    env.DB.prepare(
+      'UPDATE list_shares SET role = ? WHERE list_id = ? AND user_id = ?'
+    ).bind(role, listId, shareUserId),
+    logActivity(env, {
+      listId,
+      userId: user.id,
+      action: 'share_role_changed',
+      entityId: shareUserId,
+      summary: share.name || share.email,
+      details: { from: share.role, to: role }
+    })
+  ]);
+  
+  const list = access.list;
+  ctx.waitUntil(broadcastListInfo(env, listId, {
+    name: list.name,
+    archived: !!list.archived,
+    budget: list.budget,
+    roles: { [shareUserId]: role }
+  }));
+  
+  return json({ success: true, role }, corsHeaders);
 }
 
-async function createCategory(listId, request, user, env, corsHeaders) {
-  const access = await checkListAccess(listId, user.id, env);
+async function removeShare(listId, shareUserId, user, env, ctx, corsHeaders) {
+  const access = await checkListAccess(listId, user, env);
   
   if (!access.access) {
-    return error(access.error, 403, corsHeaders);
+    return error(access.error, access.status, corsHeaders, access);
   }
   
-  const body = await request.json();
-  const { name } = body;
-  
-  if (!name) {
-    return error('Category name required', 400, corsHeaders);
+  if (!hasPermission(access, 'share')) {
+    return error('Only owners and co-owners can remove people', 403, corsHeaders);
   }
   
-  const { results } = await env.DB.prepare(
-    'SELECT MAX(sort_order) as maxOrder FROM categories WHERE list_id = ?'
-  ).bind(listId).all();
-  const sortOrder = (results[0]?.maxOrder || 0) + 1;
+  const removed = await env.DB.prepare(
+    'SELECT name, email FROM users WHERE id = ?'
+  ).bind(shareUserId).first();
   
-  const id = generateId();
-  const timestamp = new Date().toISOString();
+  await env.DB.batch([
+    env.DB.prepare(
+      'DELETE FROM list_shares WHERE list_id = ? AND user_id = ?'
+    ).bind(listId, shareUserId),
+    logActivity(env, { listId, userId: user.id, action: 'share_removed', entityId: shareUserId, summary: removed?.name || removed?.email || null })
+  ]);
   
-  await env.DB.prepare(
-    'INSERT INTO categories (id, list_id, name, sort_order, updated_at) VALUES (?, ?, ?, ?, ?)'
-  ).bind(id, listId, name, sortOrder, timestamp).run();
+  ctx.waitUntil(disconnectLiveUser(env, listId, shareUserId));
   
-  return json({ id, name, sortOrder, timestamp }, corsHeaders);
+  return json({ success: true }, corsHeaders);
 }
 
-async function updateCategoryOrder(listId, request, user, env, corsHeaders) {
-  const access = await checkListAccess(listId, user.id, env);
+// The new owner's share is replaced by ownership and the previous owner stays
+// on as a co-owner, so nobody loses access
+async function transferOwnership(listId, request, user, env, ctx, corsHeaders) {
+  const access = await checkListAccess(listId, user, env);
   
   if (!access.access) {
-    return error(access.error, 403, corsHeaders);
+    return error(access.error, access.status, corsHeaders, access);
   }
   
-  const { order } = await request.json();
-  const timestamp = new Date().toISOString();
+  if (access.role !== 'owner') {
+    return error('Only the owner can transfer the list', 403, corsHeaders);
+  }
   
-  for (let i = 0; i < order.length; i++) {
-    await env.DB.prepare(
-      'UPDATE categories SET sort_order = ?, updated_at = ? WHERE id = ? AND list_id = ?'
-    ).bind(i, timestamp, order[i], listId).run();
+  const { userId: newOwnerId } = await readBody(request, SCHEMAS.transferOwnership);
+  
+  const share = await env.DB.prepare(
+    `SELECT u.name, u.email FROM list_shares ls
+     JOIN users u ON ls.user_id = u.id
+     WHERE ls.list_id = ? AND ls.user_id = ?`
+  ).bind(listId, newOwnerId).first();
+  
+  if (!share) {
+    return error('The list can only be transferred to someone it is shared with', 400, corsHeaders, { code: 'invalid_reference' });
   }
   
-  return json({ success: true, timestamp }, corsHeaders);
+  // Ownership may have changed since it was checked above, so the shares
+  // only move if the list really went to the new owner
+  const transferred = 'EXISTS (SELECT 1 FROM lists WHERE id = ? AND owner_id = ?)';
+  const [moved] = await env.DB.batch([
+    env.DB.prepare(
+      'UPDATE lists SET owner_id = ? WHERE id = ? AND owner_id = ?'
+    ).bind(newOwnerId, listId, user.id),
+    env.DB.prepare(
+      `DELETE FROM list_shares WHERE list_id = ? AND user_id = ? AND ${transferred}`
+    ).bind(listId, newOwnerId, listId, newOwnerId),
+    env.DB.prepare(
+      `INSERT INTO list_shares (list_id, user_id, role) SELECT ?, ?, ? WHERE ${transferred}`
+    ).bind(listId, user.id, 'co-owner', listId, newOwnerId),
+    logActivity(env, { listId, userId: user.id, action: 'ownership_transferred', entityId: newOwnerId, summary: share.name || share.email }, [transferred, listId, newOwnerId])
+  ]);
+  
+  if (moved.meta.changes === 0) {
+    return error('Only the owner can transfer the list', 403, corsHeaders);
+  }
+  
+  // Members' devices pick up their new role, as they do renames
+  const list = access.list;
+  ctx.waitUntil(broadcastListInfo(env, listId, {
+    name: list.name,
+    archived: !!list.archived,
+    budget: list.budget,
+    roles: { [newOwnerId]: 'owner', [user.id]: 'co-owner' }
+  }));
+  
+  return json({ success: true, ownerId: newOwnerId, access: 'co-owner' }, corsHeaders);
 }
 
-async function deleteCategory(listId, categoryId, user, env, corsHeaders) {
-  const access = await checkListAccess(listId, user.id, env);
+async function leaveList(listId, user, env, ctx, corsHeaders) {
+  const access = await checkListAccess(listId, user, env);
   
   if (!access.access) {
-    return error(access.error, 403, corsHeaders);
+    return error(access.error, access.status, corsHeaders, access);
   }
   
-  const timestamp = new Date().toISOString();
+  if (access.role === 'owner') {
+    return error('The owner cannot leave the list; transfer it to someone else first', 400, corsHeaders);
+  }
   
-  await env.DB.prepare(
-    'UPDATE categories SET deleted = TRUE, updated_at = ? WHERE id = ? AND list_id = ?'
-  ).bind(timestamp, categoryId, listId).run();
+  await env.DB.batch([
+    env.DB.prepare(
+      'DELETE FROM list_shares WHERE list_id = ? AND user_id = ?'
+    ).bind(listId, user.id),
+    logActivity(env, { listId, userId: user.id, action: 'member_left', entityId: user.id, summary: user.name || user.email })
+  ]);
   
-  await env.DB.prepare(
-    'UPDATE items SET category_id = NULL, updated_at = ? WHERE category_id = ? AND list_id = ?'
-  ).bind(timestamp, categoryId, listId).run();
+  ctx.waitUntil(disconnectLiveUser(env, listId, user.id));
   
   return json({ success: true }, corsHeaders);
 }
 
-// Sync Functions
+// Invite Links
 
-async function syncChanges(listId, request, user, env, corsHeaders) {
-  const access = await checkListAccess(listId, user.id, env);
+const MAX_INVITE_LINK_DAYS = 365;
+
+async function getInviteLinks(listId, user, env, corsHeaders) {
+  const access = await checkListAccess(listId, user, env);
   
   if (!access.access) {
-    return error(access.error, 403, corsHeaders);
-  }
-  
-  const body = await request.json();
-  const { itemChanges, categoryChanges, categoryOrder, lastSync } = body;
-  const serverTimestamp = new Date().toISOString();
-  
-  // Apply category changes
-  if (categoryChanges && categoryChanges.length > 0) {
-    for (const change of categoryChanges) {
-      try {
-        if (change.type === 'add') {
-          await env.DB.prepare(
-            `INSERT INTO categories (id, list_id, name, sort_order, updated_at) 
-             VALUES (?, ?, ?, ?, ?)
-             ON CONFLICT(id) DO UPDATE SET
-             name = excluded.name,
-             sort_order = excluded.sort_order,
-             updated_at = excluded.updated_at`
-          ).bind(change.id, listId, change.name, change.sortOrder || 0, serverTimestamp).run();
-        } else if (change.type === 'update') {
-          await env.DB.prepare(
-            `UPDATE categories SET 
-             name = ?,
-             sort_order = ?,
-             updated_at = ?
-             WHERE id = ? AND list_id = ?`
-          ).bind(change.name, change.sortOrder, serverTimestamp, change.id, listId).run();
-        } else if (change.type === 'delete') {
-          await env.DB.prepare(
-            'UPDATE categories SET deleted = TRUE, updated_at = ? WHERE id = ? AND list_id = ?'
-          ).bind(serverTimestamp, change.id, listId).run();
-        }
-      } catch (e) {
-        console.error('Category change failed:', e);
-      }
-    }
-  }
-  
-  // Apply category order
-  if (categoryOrder && categoryOrder.length > 0) {
-    for (let i = 0; i < categoryOrder.length; i++) {
-      try {
-        await env.DB.prepare(
-          'UPDATE categories SET sort_order = ?, updated_at = ? WHERE id = ? AND list_id = ?'
-        ).bind(i, serverTimestamp, categoryOrder[i], listId).run();
-      } catch (e) {
-        console.error('Category order update failed:', e);
-      }
-    }
+    return error(access.error, access.status, corsHeaders, access);
   }
   
-  // Apply item changes
-  if (itemChanges && itemChanges.length > 0) {
-    for (const change of itemChanges) {
-      try {
-        if (change.type === 'add') {
-          await env.DB.prepare(
-            `INSERT INTO items (id, list_id, category_id, text, completed, updated_at) 
-             VALUES (?, ?, ?, ?, ?, ?)
-             ON CONFLICT(id) DO UPDATE SET
-             category_id = excluded.category_id,
-             text = excluded.text,
-             completed = excluded.completed,
-             updated_at = excluded.updated_at`
-          ).bind(
-            change.id, 
-            listId, 
-            change.categoryId,
-            change.text, 
-            change.completed,
-            serverTimestamp
-          ).run();
-        } else if (change.type === 'update') {
-          await env.DB.prepare(
-            `UPDATE items SET 
-             category_id = ?,
-             completed = ?,
-             text = ?,
-             updated_at = ?
-             WHERE id = ? AND list_id = ?`
-          ).bind(change.categoryId || null, change.completed, change.text, serverTimestamp, change.id, listId).run();
-        } else if (change.type === 'delete') {
-          await env.DB.prepare(
-            'UPDATE items SET deleted = TRUE, updated_at = ? WHERE id = ? AND list_id = ?'
-          ).bind(serverTimestamp, change.id, listId).run();
-        }
-      } catch (e) {
-        console.error('Item change failed:', e);
-      }
-    }
+  if (!hasPermission(access, 'share')) {
+    return error('Only owners and co-owners can manage invite links', 403, corsHeaders);
   }
   
-  // Return changes since lastSync
-  const serverItemChanges = await env.DB.prepare(
-    `SELECT id, category_id as categoryId, text, completed, updated_at as timestamp, deleted
-     FROM items 
-     WHERE list_id = ? AND updated_at > ?`
-  ).bind(listId, lastSync || '1970-01-01').all();
-  
-  const serverCategoryChanges = await env.DB.prepare(
-    `SELECT id, name, sort_order as sortOrder, updated_at as timestamp, deleted
-     FROM categories 
-     WHERE list_id = ? AND updated_at > ?`
-  ).bind(listId, lastSync || '1970-01-01').all();
-  
-  const currentOrder = await env.DB.prepare(
-    `SELECT id FROM categories 
-     WHERE list_id = ? AND deleted = FALSE
-     ORDER BY sort_order ASC`
+  const { results } = await env.DB.prepare(
+    `SELECT id, role, created_at as createdAt, expires_at as expiresAt, max_uses as maxUses, use_count as useCount
+     FROM invite_links WHERE list_id = ? ORDER BY created_at DESC`
   ).bind(listId).all();
   
-  return json({ 
-    itemChanges: (serverItemChanges.results || []).map(c => ({
-      ...c,
-      type: c.deleted ? 'delete' : 'update'
-    })),
-    categoryChanges: (serverCategoryChanges.results || []).map(c => ({
-      ...c,
-      type: c.deleted ? 'delete' : 'update',
-      sortOrder: c.sortOrder
-    })),
-    categoryOrder: (currentOrder.results || []).map(c => c.id),
-    timestamp: serverTimestamp
-  }, corsHeaders);
+  return json({ links: results || [] }, corsHeaders);
 }
 
-// Item Functions
-
-async function addItem(listId, request, user, env, corsHeaders) {
-  const access = await checkListAccess(listId, user.id, env);
+async function createInviteLink(listId, request, user, env, corsHeaders) {
+  const access = await checkListAccess(listId, user, env);
   
   if (!access.access) {
-    return error(access.error, 403, corsHeaders);
+    return error(access.error, access.status, corsHeaders, access);
+  }
+  
+  if (!hasPermission(access, 'share')) {
+    return error('Only owners and co-owners can manage invite links', 403, corsHeaders);
   }
   
-  const body = await request.json();
+  const { role, expiresInDays, maxUses } = await readBody(request, SCHEMAS.createInviteLink);
+  
   const id = generateId();
-  const timestamp = new Date().toISOString();
+  const token = generateSecret();
+  const createdAt = new Date();
+  const expiresAt = expiresInDays && new Date(createdAt.getTime() + expiresInDays * 24 * 60 * 60 * 1000).toISOString();
   
   await env.DB.prepare(
-    'INSERT INTO items (id, list_id, category_id, text, completed, updated_at) VALUES (?, ?, ?, ?, ?, ?)'
-  ).bind(id, listId, body.categoryId || null, body.text, false, timestamp).run();
+    `INSERT INTO invite_links (id, list_id, token_hash, role, created_by, created_at, expires_at, max_uses)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
+  ).bind(id, listId, await sha256(token), role, user.id, createdAt.toISOString(), expiresAt, maxUses).run();
   
-  return json({ id, text: body.text, categoryId: body.categoryId, completed: false, timestamp }, corsHeaders);
+  return json({
+    link: { id, role, createdAt: createdAt.toISOString(), expiresAt, maxUses, useCount: 0 },
+    token
+  }, corsHeaders);
 }
 
-async function deleteItem(listId, itemId, user, env, corsHeaders) {
-  const access = await checkListAccess(listId, user.id, env);
+async function revokeInviteLink(listId, linkId, user, env, corsHeaders) {
+  const access = await checkListAccess(listId, user, env);
   
   if (!access.access) {
-    return error(access.error, 403, corsHeaders);
+    return error(access.error, access.status, corsHeaders, access);
+  }
+  
+  if (!hasPermission(access, 'share')) {
+    return error('Only owners and co-owners can manage invite links', 403, corsHeaders);
   }
   
   await env.DB.prepare(
-    'UPDATE items SET deleted = TRUE, updated_at = ? WHERE id = ? AND list_id = ?'
-  ).bind(new Date().toISOString(), itemId, listId).run();
+    'DELETE FROM invite_links WHERE id = ? AND list_id = ?'
+  ).bind(linkId, listId).run();
   
   return json({ success: true }, corsHeaders);
 }
 
-// Helpers
-
-function json(data, headers, status = 200) {
-  return new Response(JSON.stringify(data), {
-    status,
-    headers: { 'Content-Type': 'application/json', ...headers }
-  });
+// Joining uses up one use of the link; people who can already see the list
+// just get its id back
+async function acceptInviteLink(request, user, env, corsHeaders) {
+  const { token } = await readBody(request, SCHEMAS.acceptInviteLink);
+  
+  const link = await env.DB.prepare(
+    `SELECT il.id, il.list_id as listId, il.role
+     FROM invite_links il JOIN lists l ON il.list_id = l.id
+     WHERE il.token_hash = ? AND l.deleted = FALSE`
+  ).bind(await sha256(token)).first();
+  
+  if (!link) {
+    return error('Invite link not found or revoked', 404, corsHeaders);
+  }
+  
+  const access = await checkListAccess(link.listId, user, env);
+  if (access.access) {
+    return json({ listId: link.listId, alreadyMember: true }, corsHeaders);
+  }
+  
+  // Counting the use first means two people racing for the last use cannot
+  // both get in
+  const claimed = await env.DB.prepare(
+    `UPDATE invite_links SET use_count = use_count + 1
+     WHERE id = ? AND (expires_at IS NULL OR expires_at > ?) AND (max_uses IS NULL OR use_count < max_uses)`
+  ).bind(link.id, new Date().toISOString()).run();
+  
+  if (claimed.meta.changes === 0) {
+    return error('Invite link has expired or been used up', 410, corsHeaders);
+  }
+  
+  await env.DB.batch([
+    env.DB.prepare(
+      'INSERT OR IGNORE INTO list_shares (list_id, user_id, role) VALUES (?, ?, ?)'
+    ).bind(link.listId, user.id, link.role),
+    logActivity(env, { listId: link.listId, userId: user.id, action: 'joined_via_link', entityId: link.id, summary: user.name || user.email })
+  ]);
+  
+  return json({ listId: link.listId, alreadyMember: false }, corsHeaders);
 }
 
-function error(message, status, headers) {
-  return new Response(JSON.stringify({ error: message }), {
+// List Templates
+
+// Templates and copies hold a list's categories, in order, and its items as
+// { categories: [{ name, sortOrder }], items: [{ text, category }] }, where
+// category is an index into categories. Nothing ties them to the rows they
+// came from, and lists made from them start with every item unticked.
+const EMPTY_LIST_CONTENTS = { categories: [{ name: 'Uncategorized', sortOrder: 0 }], items: [] };
+const MAX_LIST_COPY_ITEMS = 500;
+
+async function getTemplates(user, env, corsHeaders) {
+  const { results } = await env.DB.prepare(
+    'SELECT id, name, contents, updated_at as updatedAt FROM list_templates WHERE user_id = ? ORDER BY name'
+  ).bind(user.id).all();
+  
+  return json({ templates: (results || []).map(toTemplate) }, corsHeaders);
+}
+
+// Saving under an existing template name replaces that template
+async function saveTemplate(listId, request, user, env, corsHeaders) {
+  const access = await checkListAccess(listId, user, env);
+  
+  if (!access.access) {
+    return error(access.error, access.status, corsHeaders, access);
+  }
+  
+  const { name } = await readBody(request, SCHEMAS.saveTemplate);
+  const contents = await readListContents(env, listId);
+  
+  if (contents.items.length > MAX_LIST_COPY_ITEMS) {
+    return error(`Lists with more than ${MAX_LIST_COPY_ITEMS} items cannot be saved as a template`, 400, corsHeaders, { code: 'validation_failed' });
+  }
+  
+  const timestamp = new Date().toISOString();
+  const saved = await env.DB.prepare(
+    `INSERT INTO list_templates (id, user_id, name, contents, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?)
+     ON CONFLICT (user_id, name) DO UPDATE SET contents = excluded.contents, updated_at = excluded.updated_at
+     RETURNING id`
+  ).bind(generateId(), user.id, name, JSON.stringify(contents), timestamp, timestamp).first();
+  
+  return json({ template: toTemplate({ id: saved.id, name, contents, updatedAt: timestamp }) }, corsHeaders);
+}
+
+async function deleteTemplate(templateId, user, env, corsHeaders) {
+  const result = await env.DB.prepare(
+    'DELETE FROM list_templates WHERE id = ? AND user_id = ?'
+  ).bind(templateId, user.id).run();
+  
+  if (result.meta.changes === 0) {
+    return error('Template not found', 404, corsHeaders);
+  }
+  
+  return json({ success: true }, corsHeaders);
+}
+
+// Anyone who can read a list can copy it; the copy is theirs and unshared
+async function duplicateList(listId, request, user, env, corsHeaders) {
+  const access = await checkListAccess(listId, user, env);
+  
+  if (!access.access) {
+    return error(access.error, access.status, corsHeaders, access);
+  }
+  
+  const { name } = await readBody(request, SCHEMAS.duplicateList);
+  const contents = await readListContents(env, listId);
+  
+  if (contents.items.length > MAX_LIST_COPY_ITEMS) {
+    return error(`Lists with more than ${MAX_LIST_COPY_ITEMS} items cannot be duplicated`, 400, corsHeaders, { code: 'validation_failed' });
+  }
+  
+  const copyName = name || `${access.list.name} (copy)`.slice(0, MAX_NAME_LENGTH);
+  const list = await createListWithContents(env, user, copyName, contents, { copiedFrom: access.list.name });
+  return json(list, corsHeaders);
+}
+
+async function readListContents(env, listId) {
+  const [categories, items] = await env.DB.batch([
+    env.DB.prepare(
+      'SELECT id, name, sort_order as sortOrder FROM categories WHERE list_id = ? AND deleted = FALSE ORDER BY sort_order, name'
+    ).bind(listId),
+    env.DB.prepare(
+      `SELECT text, quantity, unit, notes, price, category_id as categoryId, recurrence
+       FROM items WHERE list_id = ? AND deleted = FALSE ORDER BY created_at`
+    ).bind(listId)
+  ]);
+  
+  const categoryIndex = new Map(categories.results.map((category, i) => [category.id, i]));
+  
+  return {
+    categories: categories.results.map(({ name, sortOrder }) => ({ name, sortOrder })),
+    items: items.results.map(item => ({
+      text: item.text,
+      quantity: item.quantity,
+      unit: item.unit,
+      notes: item.notes,
+      price: item.price,
+      category: categoryIndex.get(item.categoryId) ?? null,
+      recurrence: parseRecurrence(item.recurrence)
+    }))
+  };
+}
+
+// A new list owned by the user, with every category and item written in one
+// batch. Returns what createList responds with.
+async function createListWithContents(env, user, name, contents, details = null) {
+  const id = generateId();
+  const timestamp = new Date().toISOString();
+  const categories = contents.categories.length > 0 ? contents.categories : EMPTY_LIST_CONTENTS.categories;
+  const categoryIds = categories.map(() => generateId());
+  
+  // The list goes in the same batch, so a failure leaves no empty list
+  // behind; the sequence bump ahead of it finds no row yet and does nothing
+  await writeWithSeq(env, id, [
+    env.DB.prepare(
+      'INSERT INTO lists (id, name, owner_id) VALUES (?, ?, ?)'
+    ).bind(id, name, user.id),
+    ...categories.map((category, i) => env.DB.prepare(
+      `INSERT INTO categories (id, list_id, name, sort_order, field_versions, updated_at, seq) VALUES (?, ?, ?, ?, ?, ?, ${CURRENT_SEQ})`
+    ).bind(categoryIds[i], id, category.name, category.sortOrder, serverFieldVersions(['name', 'sortOrder'], timestamp), timestamp, id)),
+    // Older templates lack the fields added since
+    ...contents.items.map(item => env.DB.prepare(
+      `INSERT INTO items (id, list_id, category_id, text, quantity, unit, notes, price, completed, recurrence, field_versions, updated_at, seq)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ${CURRENT_SEQ})`
+    ).bind(
+      generateId(), id, categoryIds[item.category] ?? null, item.text,
+      normalizeFieldValue('quantity', item.quantity), normalizeFieldValue('unit', item.unit),
+      normalizeFieldValue('notes', item.notes), normalizeFieldValue('price', item.price), false,
+      normalizeFieldValue('recurrence', item.recurrence), serverFieldVersions(Object.keys(ITEM_FIELDS), timestamp), timestamp, id
+    ))
+  ], [
+    logActivity(env, { listId: id, userId: user.id, action: 'list_created', summary: name, details })
+  ]);
+  
+  // Items without a category show under Uncategorized
+  const defaultIndex = categories.findIndex(category => category.name === 'Uncategorized');
+  
+  return {
+    id,
+    name,
+    defaultCategoryId: categoryIds[Math.max(defaultIndex, 0)],
+    access: 'owner',
+    archived: false,
+    budget: null
+  };
+}
+
+function toTemplate({ contents, ...template }) {
+  const { categories, items } = typeof contents === 'string' ? JSON.parse(contents) : contents;
+  return { ...template, categoryCount: categories.length, itemCount: items.length };
+}
+
+// Category Functions
+
+async function getCategories(listId, user, env, corsHeaders) {
+  const access = await checkListAccess(listId, user, env);
+  
+  if (!access.access) {
+    return error(access.error, access.status, corsHeaders, access);
+  }
+  
+  const { results: categories } = await env.DB.prepare(
+    `SELECT id, name, sort_order as sortOrder, updated_at as updatedAt
+     FROM categories
+     WHERE list_id = ? AND deleted = FALSE
+     ORDER BY sort_order ASC, name ASC`
+  ).bind(listId).all();
+  
+  return json({ categories: categories || [] }, corsHeaders);
+}
+
+async function createCategory(listId, request, user, env, ctx, corsHeaders) {
+  const access = await checkListAccess(listId, user, env);
+  
+  if (!access.access) {
+    return error(access.error, access.status, corsHeaders, access);
+  }
+  
+  if (!hasPermission(access, 'write')) {
+    return error('Read-only access', 403, corsHeaders, { code: 'read_only' });
+  }
+  
+  const { name } = await readBody(request, SCHEMAS.createCategory);
+  
+  const { results } = await env.DB.prepare(
+    'SELECT MAX(sort_order) as maxOrder FROM categories WHERE list_id = ?'
+  ).bind(listId).all();
+  const sortOrder = (results[0]?.maxOrder || 0) + 1;
+  
+  const id = generateId();
+  const timestamp = new Date().toISOString();
+  
+  await writeWithSeq(env, listId, [
+    env.DB.prepare(
+      `INSERT INTO categories (id, list_id, name, sort_order, field_versions, updated_at, seq) VALUES (?, ?, ?, ?, ?, ?, ${CURRENT_SEQ})`
+    ).bind(id, listId, name, sortOrder, serverFieldVersions(['name', 'sortOrder'], timestamp), timestamp, listId)
+  ], [
+    logActivity(env, { listId, userId: user.id, action: 'category_added', entityId: id, summary: name })
+  ]);
+  
+  ctx.waitUntil(broadcastListChanges(env, listId, { categoryIds: [id] }));
+  
+  return json({ id, name, sortOrder, timestamp }, corsHeaders);
+}
+
+async function updateCategoryOrder(listId, request, user, env, ctx, corsHeaders) {
+  const access = await checkListAccess(listId, user, env);
+  
+  if (!access.access) {
+    return error(access.error, access.status, corsHeaders, access);
+  }
+  
+  if (!hasPermission(access, 'write')) {
+    return error('Read-only access', 403, corsHeaders, { code: 'read_only' });
+  }
+  
+  const { order } = await readBody(request, SCHEMAS.updateCategoryOrder);
+  
+  const { results: categories } = await env.DB.prepare(
+    'SELECT id FROM categories WHERE list_id = ? AND deleted = FALSE'
+  ).bind(listId).all();
+  const known = new Set((categories || []).map(c => c.id));
+  const unknown = order.filter(id => !known.has(id));
+  if (unknown.length > 0) {
+    return error('Category not found in this list', 400, corsHeaders, { code: 'invalid_reference', details: { categoryIds: unknown } });
+  }
+  
+  const timestamp = new Date().toISOString();
+  
+  // All positions are written in one batch
+  await writeWithSeq(env, listId, order.map((categoryId, i) => env.DB.prepare(
+    `UPDATE categories SET sort_order = ?, field_versions = json_set(COALESCE(field_versions, '{}'), '$.sortOrder', ?), updated_at = ?,
+     seq = ${CURRENT_SEQ}
+     WHERE id = ? AND list_id = ?`
+  ).bind(i, serverFieldVersion(timestamp), timestamp, listId, categoryId, listId)), [
+    logActivity(env, { listId, userId: user.id, action: 'categories_reordered' })
+  ]);
+  
+  ctx.waitUntil(broadcastListChanges(env, listId, { categoryIds: order }));
+  
+  return json({ success: true, timestamp }, corsHeaders);
+}
+
+async function deleteCategory(listId, categoryId, user, env, ctx, corsHeaders) {
+  const access = await checkListAccess(listId, user, env);
+  
+  if (!access.access) {
+    return error(access.error, access.status, corsHeaders, access);
+  }
+  
+  if (!hasPermission(access, 'write')) {
+    return error('Read-only access', 403, corsHeaders, { code: 'read_only' });
+  }
+  
+  const timestamp = new Date().toISOString();
+  
+  const category = await env.DB.prepare(
+    'SELECT name FROM categories WHERE id = ? AND list_id = ? AND deleted = FALSE'
+  ).bind(categoryId, listId).first();
+  
+  if (!category) {
+    return json({ success: true }, corsHeaders);
+  }
+  
+  // Each moved item needs its own sequence, so update them one by one
+  const { results: movedItems } = await env.DB.prepare(
+    'SELECT id FROM items WHERE category_id = ? AND list_id = ?'
+  ).bind(categoryId, listId).all();
+  const itemIds = (movedItems || []).map(i => i.id);
+  
+  await writeWithSeq(env, listId, [
+    env.DB.prepare(
+      `UPDATE categories SET deleted = TRUE, updated_at = ?, seq = ${CURRENT_SEQ} WHERE id = ? AND list_id = ?`
+    ).bind(timestamp, listId, categoryId, listId),
+    ...itemIds.map(itemId => env.DB.prepare(
+      `UPDATE items SET category_id = NULL, field_versions = json_set(COALESCE(field_versions, '{}'), '$.categoryId', ?), updated_at = ?,
+       seq = ${CURRENT_SEQ}
+       WHERE id = ? AND category_id = ? AND list_id = ?`
+    ).bind(serverFieldVersion(timestamp), timestamp, listId, itemId, categoryId, listId))
+  ], [
+    logActivity(env, { listId, userId: user.id, action: 'category_deleted', entityId: categoryId, summary: category.name })
+  ]);
+  
+  ctx.waitUntil(broadcastListChanges(env, listId, {
+    itemIds,
+    categoryIds: [categoryId]
+  }));
+  
+  return json({ success: true }, corsHeaders);
+}
+
+// Sync Functions
+
+// Syncable fields and their columns. Every field carries its own version
+// ("<ISO timestamp>#<device id>") so concurrent edits to different fields
+// merge; for the same field the higher version wins, which compares the
+// edit time first and the device id as a tie-break.
+const ITEM_FIELDS = {
+  text: 'text',
+  quantity: 'quantity',
+  unit: 'unit',
+  notes: 'notes',
+  price: 'price',
+  categoryId: 'category_id',
+  completed: 'completed',
+  recurrence: 'recurrence'
+};
+
+const CATEGORY_FIELDS = {
+  name: 'name',
+  sortOrder: 'sort_order'
+};
+
+async function syncChanges(listId, request, user, env, ctx, corsHeaders) {
+  const startedAt = Date.now();
+  const body = await readBody(request, SCHEMAS.syncList);
+  const result = await syncList(listId, body, user, env, ctx);
+  
+  if (result.error) {
+    return error(result.error, result.status, corsHeaders, result);
+  }
+  
+  return json(result.data, {
+    ...corsHeaders,
+    ...syncTimingHeaders(startedAt, `list ${listId}, ${result.data.results.length} changes`)
+  });
+}
+
+// Several lists in one request, for keeping every saved list fresh:
+//   { deviceId, lists: [{ listId, cursor, itemChanges, categoryChanges, categoryOrderChanges }] }
+// Each list is synced and written on its own, so a list the user can no
+// longer access only fails its own entry.
+//
+// Even a list with nothing to push costs about six queries (access, due
+// recurring items, changes), and a Worker invocation gets 50 on the free
+// plan, so a request covers only a handful of lists.
+const MAX_SYNC_LISTS = 5;
+
+async function syncManyLists(request, user, env, ctx, corsHeaders) {
+  const startedAt = Date.now();
+  const body = await readBody(request, SCHEMAS.syncManyLists);
+  
+  const lists = await Promise.all(body.lists.map(async (entry) => {
+    const listId = entry.listId;
+    if (validate(listId, { ...ID_RULE, required: true }).problems.length > 0) {
+      return { listId, error: 'List id required', code: 'validation_failed', status: 400 };
+    }
+    
+    const result = await syncList(listId, { ...entry, deviceId: body.deviceId }, user, env, ctx);
+    return result.error
+      ? { listId, error: result.error, code: result.code, status: result.status }
+      : { listId, ...result.data };
+  }));
+  
+  return json({ lists }, {
+    ...corsHeaders,
+    ...syncTimingHeaders(startedAt, `${lists.length} lists`)
+  });
+}
+
+// Sync should finish within 2 seconds (see requirements.md)
+const SYNC_TIME_BUDGET_MS = 2000;
+
+function syncTimingHeaders(startedAt, description) {
+  const duration = Date.now() - startedAt;
+  if (duration > SYNC_TIME_BUDGET_MS) {
+    console.warn(`Slow sync (${description}): ${duration}ms`);
+  }
+  return { 'Server-Timing': `sync;dur=${duration}` };
+}
+
+// Every queued change is acknowledged individually so the client only drops
+// what the server actually handled:
+//   applied    - the change was written
+//   superseded - the change no longer applies (the row was deleted or every
+//                field already has a newer version)
+//   rejected   - the change is invalid and will never apply (see reason)
+//
+// The whole payload is validated and planned against the current rows before
+// anything is written, then every write goes to D1 in a single batch: either
+// all applied changes are stored or none are (and nothing is acknowledged).
+//
+// The payload as a whole is checked against SCHEMAS.syncList; problems with
+// an individual change are reported in that change's result instead.
+//
+// Returns { data } with the sync response for one list, or
+// { error, code, status }.
+async function syncList(listId, body, user, env, ctx) {
+  const access = await checkListAccess(listId, user, env);
+  
+  if (!access.access) {
+    return { error: access.error, code: access.code, status: access.status };
+  }
+  
+  const { value: payload, problems } = validate(body, { type: 'object', required: true, fields: SCHEMAS.syncList });
+  if (problems.length > 0) {
+    return { error: problems[0].message, code: 'validation_failed', details: { problems }, status: 400 };
+  }
+  
+  let { itemChanges, categoryChanges, categoryOrderChanges } = payload;
+  const { cursor, deviceId } = payload;
+  const results = [];
+  
+  // Viewers can still pull; everything they push is rejected
+  if (!hasPermission(access, 'write')) {
+    for (const change of [...categoryChanges, ...categoryOrderChanges, ...itemChanges]) {
+      results.push({ changeId: change.changeId, status: 'rejected', reason: 'Read-only access' });
+    }
+    itemChanges = categoryChanges = categoryOrderChanges = [];
+  }
+  
+  // Recurring items due again come back before the client's changes are
+  // planned, so its edits merge with them. Failing to is not worth failing
+  // the sync over; the next sync or the cron trigger tries again.
+  try {
+    await reviveRecurringItems(env, ctx, listId);
+  } catch (e) {
+    console.error('Reviving recurring items failed:', e);
+  }
+  
+  const plan = {
+    listId,
+    userId: user.id,
+    timestamp: new Date().toISOString(),
+    env,
+    rows: await loadSyncRows(env, [
+      [ITEM_ENTITY, itemChanges.map(c => c.id)],
+      [CATEGORY_ENTITY, [
+        ...categoryChanges.map(c => c.id),
+        ...categoryOrderChanges.flatMap(c => c.order || []),
+        ...itemChanges.map(c => c.fields?.categoryId)
+      ]]
+    ]),
+    statements: [],
+    activity: [],
+    itemIds: new Set(),
+    categoryIds: new Set()
+  };
+  
+  // Category changes first so new items can refer to new categories
+  for (const change of categoryChanges) {
+    results.push({ changeId: change.changeId, ...planRowChange(plan, CATEGORY_ENTITY, change) });
+  }
+  
+  // Category order - only the most recent order matters
+  categoryOrderChanges.slice(0, -1).forEach(change => {
+    results.push({ changeId: change.changeId, status: 'superseded' });
+  });
+  const latestOrder = categoryOrderChanges[categoryOrderChanges.length - 1];
+  if (latestOrder) {
+    results.push({ changeId: latestOrder.changeId, ...planCategoryOrder(plan, latestOrder) });
+  }
+  
+  for (const change of itemChanges) {
+    results.push({ changeId: change.changeId, ...planRowChange(plan, ITEM_ENTITY, change) });
+  }
+  
+  try {
+    await writeWithSeq(env, listId, plan.statements, plan.activity);
+  } catch (e) {
+    console.error('Sync batch failed:', e);
+    return { error: 'Could not apply changes', code: 'internal_error', status: 500 };
+  }
+  
+  if (plan.itemIds.size > 0 || plan.categoryIds.size > 0) {
+    ctx.waitUntil(broadcastListChanges(env, listId, {
+      itemIds: [...plan.itemIds],
+      categoryIds: [...plan.categoryIds]
+    }, deviceId));
+  }
+  
+  // Deletes older than the cursor may have been purged, so the client has
+  // to start over rather than keep rows it will never hear were deleted
+  let since = decodeCursor(cursor);
+  const resync = since > 0 && since < (access.list.purged_seq || 0);
+  if (resync) since = 0;
+  
+  const page = await getChangesSince(env, listId, since);
+  
+  // Renames, archiving, the budget and role changes reach collaborators'
+  // devices with every sync
+  const list = { name: access.list.name, archived: !!access.list.archived, budget: access.list.budget, access: access.role };
+  
+  return { data: { ...page, list, results, ...(resync ? { resync: true } : {}) } };
+}
+
+// Changes are returned in pages of at most SYNC_PAGE_SIZE rows, oldest first;
+// a client with more to catch up on gets hasMore and syncs again from the
+// returned cursor.
+const SYNC_PAGE_SIZE = 500;
+
+async function getChangesSince(env, listId, since) {
+  const [itemRows, categoryRows, list] = await env.DB.batch([
+    env.DB.prepare(
+      `SELECT ${ITEM_SYNC_COLUMNS}, seq FROM items WHERE list_id = ? AND seq > ? ORDER BY seq LIMIT ?`
+    ).bind(listId, since, SYNC_PAGE_SIZE + 1),
+    env.DB.prepare(
+      `SELECT ${CATEGORY_SYNC_COLUMNS}, seq FROM categories WHERE list_id = ? AND seq > ? ORDER BY seq LIMIT ?`
+    ).bind(listId, since, SYNC_PAGE_SIZE + 1),
+    env.DB.prepare('SELECT change_seq FROM lists WHERE id = ?').bind(listId)
+  ]);
+  
+  const rows = [
+    ...(itemRows.results || []).map(row => ({ row, isItem: true })),
+    ...(categoryRows.results || []).map(row => ({ row, isItem: false }))
+  ].sort((a, b) => a.row.seq - b.row.seq);
+  
+  const hasMore = rows.length > SYNC_PAGE_SIZE;
+  const pageRows = rows.slice(0, SYNC_PAGE_SIZE);
+  const lastSeq = hasMore
+    ? pageRows[pageRows.length - 1].row.seq
+    : Math.max(since, list.results?.[0]?.change_seq || 0);
+  
+  return {
+    itemChanges: pageRows.filter(r => r.isItem).map(r => serializeItemChange(r.row)),
+    categoryChanges: pageRows.filter(r => !r.isItem).map(r => serializeCategoryChange(r.row)),
+    cursor: encodeCursor(lastSeq),
+    hasMore
+  };
+}
+
+// Cursors are opaque to clients so their contents can change without a
+// protocol change. Anything unreadable (including a legacy lastSync
+// timestamp) starts from the beginning.
+function encodeCursor(seq) {
+  return btoa(JSON.stringify({ seq }));
+}
+
+function decodeCursor(cursor) {
+  if (!cursor) return 0;
+  try {
+    const { seq } = JSON.parse(atob(cursor));
+    return Number.isInteger(seq) && seq > 0 ? seq : 0;
+  } catch (e) {
+    return 0;
+  }
+}
+
+const ITEM_SYNC_COLUMNS = `id, category_id as categoryId, text, quantity, unit, notes, price, completed, recurrence,
+  field_versions as fieldVersions, updated_at as timestamp, deleted`;
+
+const CATEGORY_SYNC_COLUMNS = `id, name, sort_order as sortOrder, field_versions as fieldVersions,
+  updated_at as timestamp, deleted`;
+
+function serializeItemChange(row) {
+  return {
+    ...row,
+    completed: !!row.completed,
+    recurrence: parseRecurrence(row.recurrence),
+    fieldVersions: parseFieldVersions(row.fieldVersions),
+    type: row.deleted ? 'delete' : 'update'
+  };
+}
+
+function serializeCategoryChange(row) {
+  return {
+    ...row,
+    fieldVersions: parseFieldVersions(row.fieldVersions),
+    type: row.deleted ? 'delete' : 'update'
+  };
+}
+
+// `required` is also the field that names the row in the activity log
+const ITEM_ENTITY = { table: 'items', kind: 'item', label: 'Item', fields: ITEM_FIELDS, required: 'text' };
+const CATEGORY_ENTITY = { table: 'categories', kind: 'category', label: 'Category', fields: CATEGORY_FIELDS, required: 'name' };
+
+// Current state of every row the payload touches, keyed "<table>:<id>".
+// Rows are looked up regardless of list so an id from another list is
+// rejected rather than inserted. D1 limits bound parameters per statement,
+// so ids go in chunks, all in one batch.
+async function loadSyncRows(env, idsByEntity) {
+  const lookups = [];
+  
+  for (const [entity, ids] of idsByEntity) {
+    const { table, fields, required } = entity;
+    const uniqueIds = [...new Set(ids.filter(id => typeof id === 'string'))];
+    for (let i = 0; i < uniqueIds.length; i += 50) {
+      const chunk = uniqueIds.slice(i, i + 50);
+      lookups.push({
+        table,
+        statement: env.DB.prepare(
+          `SELECT id, list_id, deleted, field_versions, ${fields[required]} AS summary
+           FROM ${table} WHERE id IN (${chunk.map(() => '?').join(', ')})`
+        ).bind(...chunk)
+      });
+    }
+  }
+  
+  const rows = new Map();
+  if (lookups.length === 0) return rows;
+  
+  const results = await env.DB.batch(lookups.map(lookup => lookup.statement));
+  results.forEach((result, i) => {
+    for (const row of result.results || []) {
+      rows.set(`${lookups[i].table}:${row.id}`, {
+        listId: row.list_id,
+        deleted: !!row.deleted,
+        versions: parseFieldVersions(row.field_versions),
+        summary: row.summary
+      });
+    }
+  });
+  return rows;
+}
+
+// Changes look like { changeId, type, id, fields: { text: ... }, versions: { text: ... } }.
+// Planning updates plan.rows as it goes, so several changes to the same row
+// in one payload merge in order.
+function planRowChange(plan, entity, change) {
+  const { table, label, fields, required } = entity;
+  
+  if (validate(change.id, { ...ID_RULE, required: true }).problems.length > 0) {
+    return { status: 'rejected', reason: `${label} id required` };
+  }
+  
+  if (!['add', 'update', 'delete'].includes(change.type)) {
+    return { status: 'rejected', reason: 'Unknown change type' };
+  }
+  
+  const key = `${table}:${change.id}`;
+  const row = plan.rows.get(key);
+  
+  if (row && row.listId !== plan.listId) {
+    return { status: 'rejected', reason: `${label} not found` };
+  }
+  
+  if (!row && change.type !== 'add') {
+    return { status: 'rejected', reason: `${label} not found` };
+  }
+  
+  // Deletes always win
+  if (row && row.deleted) {
+    return { status: 'superseded' };
+  }
+  
+  if (change.type === 'delete') {
+    plan.statements.push(plan.env.DB.prepare(
+      `UPDATE ${table} SET deleted = TRUE, updated_at = ?, seq = ${CURRENT_SEQ} WHERE id = ?`
+    ).bind(plan.timestamp, plan.listId, change.id));
+    row.deleted = true;
+    markPlanned(plan, table, change.id);
+    logPlanned(plan, `${entity.kind}_deleted`, change.id, row.summary);
+    return { status: 'applied' };
+  }
+  
+  const changedFields = Object.keys(change.fields || {}).filter(field => field in fields);
+  if (changedFields.some(field => typeof change.versions?.[field] !== 'string' || change.versions[field].length > 100)) {
+    return { status: 'rejected', reason: 'Field version required' };
+  }
+  
+  for (const field of changedFields) {
+    const { problems } = validate(change.fields[field], SYNC_FIELD_RULES[field], field);
+    if (problems.length > 0) {
+      return { status: 'rejected', reason: problems[0].message };
+    }
+  }
+  
+  // A bad category reference would fail the whole batch, so catch it here
+  const categoryId = table === 'items' && change.fields?.categoryId;
+  if (categoryId && plan.rows.get(`categories:${categoryId}`)?.listId !== plan.listId) {
+    return { status: 'rejected', reason: 'Category not found' };
+  }
+  
+  if (!row) {
+    if (!change.fields?.[required]) {
+      return { status: 'rejected', reason: `${label} ${required} required` };
+    }
+    return planInsert(plan, entity, change);
+  }
+  
+  return planMerge(plan, entity, change.id, row, change);
+}
+
+function planInsert(plan, entity, change) {
+  const columns = ['id', 'list_id', 'field_versions', 'updated_at'];
+  const versions = {};
+  const values = [change.id, plan.listId, null, plan.timestamp];
+  
+  for (const [field, column] of Object.entries(entity.fields)) {
+    if (field in change.fields) {
+      columns.push(column);
+      values.push(normalizeFieldValue(field, change.fields[field]));
+      versions[field] = change.versions[field];
+    }
+  }
+  values[2] = JSON.stringify(versions);
+  
+  plan.statements.push(plan.env.DB.prepare(
+    `INSERT INTO ${entity.table} (${columns.join(', ')}, seq) VALUES (${columns.map(() => '?').join(', ')}, ${CURRENT_SEQ})`
+  ).bind(...values, plan.listId));
+  const summary = change.fields[entity.required];
+  plan.rows.set(`${entity.table}:${change.id}`, { listId: plan.listId, deleted: false, versions, summary });
+  markPlanned(plan, entity.table, change.id);
+  logPlanned(plan, `${entity.kind}_added`, change.id, summary);
+  return { status: 'applied' };
+}
+
+function planMerge(plan, entity, id, row, change) {
+  const versions = { ...row.versions };
+  const assignments = [];
+  const values = [];
+  const changed = [];
+  
+  for (const [field, column] of Object.entries(entity.fields)) {
+    if (!(field in (change.fields || {}))) continue;
+    
+    const version = change.versions[field];
+    if (versions[field] && version <= versions[field]) continue;
+    
+    const value = normalizeFieldValue(field, change.fields[field]);
+    assignments.push(`${column} = ?`);
+    values.push(value);
+    versions[field] = version;
+    changed.push([field, value]);
+  }
+  
+  if (assignments.length === 0) {
+    return { status: 'superseded' };
+  }
+  
+  plan.statements.push(plan.env.DB.prepare(
+    `UPDATE ${entity.table} SET ${assignments.join(', ')}, field_versions = ?, updated_at = ?, seq = ${CURRENT_SEQ} WHERE id = ?`
+  ).bind(...values, JSON.stringify(versions), plan.timestamp, plan.listId, id));
+  row.versions = versions;
+  markPlanned(plan, entity.table, id);
+  
+  const previousSummary = row.summary;
+  if (entity.required in change.fields) row.summary = change.fields[entity.required];
+  for (const [field, value] of changed) {
+    const action = FIELD_ACTIVITY[field]?.(value);
+    if (!action) continue;
+    logPlanned(plan, action, id, row.summary, fieldActivityDetails(field, value, previousSummary, entity));
+  }
+  return { status: 'applied' };
+}
+
+function planCategoryOrder(plan, change) {
+  if (!Array.isArray(change.order) || typeof change.version !== 'string') {
+    return { status: 'rejected', reason: 'Category order required' };
+  }
+  
+  if (change.order.length > MAX_CATEGORIES_PER_ORDER) {
+    return { status: 'rejected', reason: `order must have at most ${MAX_CATEGORIES_PER_ORDER} entries` };
+  }
+  
+  let applied = false;
+  change.order.forEach((categoryId, i) => {
+    const row = plan.rows.get(`categories:${categoryId}`);
+    if (!row || row.listId !== plan.listId || row.deleted) return;
+    
+    const result = planMerge(plan, CATEGORY_ENTITY, categoryId, row, {
+      fields: { sortOrder: i },
+      versions: { sortOrder: change.version }
+    });
+    applied = applied || result.status === 'applied';
+  });
+  
+  if (applied) logPlanned(plan, 'categories_reordered');
+  return { status: applied ? 'applied' : 'superseded' };
+}
+
+// Rows to broadcast once the batch is written
+function markPlanned(plan, table, id) {
+  (table === 'items' ? plan.itemIds : plan.categoryIds).add(id);
+}
+
+// Activity for a synced field edit. Sort order is logged once per reorder
+// rather than per category.
+const FIELD_ACTIVITY = {
+  text: () => 'item_edited',
+  completed: value => value ? 'item_completed' : 'item_uncompleted',
+  categoryId: () => 'item_moved',
+  recurrence: value => value ? 'item_recurrence_set' : 'item_recurrence_cleared',
+  quantity: () => 'item_quantity_changed',
+  notes: () => 'item_notes_edited',
+  price: () => 'item_price_changed',
+  name: () => 'category_renamed'
+};
+
+function fieldActivityDetails(field, value, previousSummary, entity) {
+  if (field === entity.required) return { from: previousSummary };
+  if (field === 'categoryId') return { categoryId: value };
+  if (field === 'recurrence' && value) return { recurrence: parseRecurrence(value) };
+  if (field === 'quantity' || field === 'price') return { [field]: value };
+  return null;
+}
+
+function logPlanned(plan, action, entityId = null, summary = null, details = null) {
+  plan.activity.push(logActivity(plan.env, {
+    listId: plan.listId,
+    userId: plan.userId,
+    action,
+    entityId,
+    summary,
+    details
+  }));
+}
+
+function normalizeFieldValue(field, value) {
+  if (field === 'categoryId') return value || null;
+  if (field === 'completed') return !!value;
+  if (field === 'recurrence') return value ? JSON.stringify(toRecurrence(value)) : null;
+  if (field === 'unit' || field === 'notes') return value?.trim() || null;
+  return value ?? null;
+}
+
+function parseFieldVersions(value) {
+  try {
+    return JSON.parse(value || '{}');
+  } catch (e) {
+    return {};
+  }
+}
+
+// Version for writes made by the server itself rather than a device
+function serverFieldVersion(timestamp) {
+  return `${timestamp}#server`;
+}
+
+function serverFieldVersions(fieldNames, timestamp) {
+  return JSON.stringify(Object.fromEntries(fieldNames.map(field => [field, serverFieldVersion(timestamp)])));
+}
+
+// Every write to an item or category takes the next value of its list's
+// change sequence, so a client only needs the highest sequence it has seen
+// to catch up. Statements set `seq = CURRENT_SEQ` (binding the list id);
+// each is paired with a bump of the counter and the batch runs as one
+// transaction, so every row gets a distinct sequence.
+const CURRENT_SEQ = '(SELECT change_seq FROM lists WHERE id = ?)';
+
+// Activity entries describing the writes go in the same batch. Resolves to
+// the batch results, statement i's at index 2i + 1.
+function writeWithSeq(env, listId, statements, activity = []) {
+  const bumpSeq = () => env.DB.prepare(
+    'UPDATE lists SET change_seq = change_seq + 1 WHERE id = ?'
+  ).bind(listId);
+  if (statements.length === 0) return Promise.resolve([]);
+  return env.DB.batch([...statements.flatMap(statement => [bumpSeq(), statement]), ...activity]);
+}
+
+// Item Functions
+
+async function addItem(listId, request, user, env, ctx, corsHeaders) {
+  const access = await checkListAccess(listId, user, env);
+  
+  if (!access.access) {
+    return error(access.error, access.status, corsHeaders, access);
+  }
+  
+  if (!hasPermission(access, 'write')) {
+    return error('Read-only access', 403, corsHeaders, { code: 'read_only' });
+  }
+  
+  const body = await readBody(request, SCHEMAS.addItem);
+  const { text, quantity, price, categoryId, recurrence } = body;
+  const unit = body.unit || null;
+  const notes = body.notes || null;
+  
+  if (categoryId) {
+    const category = await env.DB.prepare(
+      'SELECT 1 FROM categories WHERE id = ? AND list_id = ? AND deleted = FALSE'
+    ).bind(categoryId, listId).first();
+    if (!category) {
+      return error('Category not found in this list', 400, corsHeaders, { code: 'invalid_reference' });
+    }
+  }
+  
+  const id = generateId();
+  const timestamp = new Date().toISOString();
+  
+  await writeWithSeq(env, listId, [
+    env.DB.prepare(
+      `INSERT INTO items (id, list_id, category_id, text, quantity, unit, notes, price, completed, recurrence, field_versions, updated_at, seq)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ${CURRENT_SEQ})`
+    ).bind(
+      id, listId, categoryId, text, quantity, unit, notes, price, false, normalizeFieldValue('recurrence', recurrence),
+      serverFieldVersions(Object.keys(ITEM_FIELDS), timestamp), timestamp, listId
+    )
+  ], [
+    logActivity(env, { listId, userId: user.id, action: 'item_added', entityId: id, summary: text })
+  ]);
+  
+  ctx.waitUntil(broadcastListChanges(env, listId, { itemIds: [id] }));
+  
+  return json({
+    id, text, quantity, unit, notes, price, categoryId, completed: false, recurrence: recurrence && toRecurrence(recurrence), timestamp
+  }, corsHeaders);
+}
+
+async function deleteItem(listId, itemId, user, env, ctx, corsHeaders) {
+  const access = await checkListAccess(listId, user, env);
+  
+  if (!access.access) {
+    return error(access.error, access.status, corsHeaders, access);
+  }
+  
+  if (!hasPermission(access, 'write')) {
+    return error('Read-only access', 403, corsHeaders, { code: 'read_only' });
+  }
+  
+  const item = await env.DB.prepare(
+    'SELECT text FROM items WHERE id = ? AND list_id = ? AND deleted = FALSE'
+  ).bind(itemId, listId).first();
+  
+  if (!item) {
+    return json({ success: true }, corsHeaders);
+  }
+  
+  await writeWithSeq(env, listId, [
+    env.DB.prepare(
+      `UPDATE items SET deleted = TRUE, updated_at = ?, seq = ${CURRENT_SEQ} WHERE id = ? AND list_id = ?`
+    ).bind(new Date().toISOString(), listId, itemId, listId)
+  ], [
+    logActivity(env, { listId, userId: user.id, action: 'item_deleted', entityId: itemId, summary: item.text })
+  ]);
+  
+  ctx.waitUntil(broadcastListChanges(env, listId, { itemIds: [itemId] }));
+  
+  return json({ success: true }, corsHeaders);
+}
+
+// Recurring Items
+
+// A recurring item is { type: 'days', interval } or { type: 'weekly',
+// weekday } (0 is Sunday). Once completed it comes back - un-completed
+// rather than re-created, so it keeps its id and category - when it is due:
+// `interval` days after the day it was completed, or on the first matching
+// weekday after it. Days are UTC days.
+// Activity for items the server brings back is logged under this user id
+const SYSTEM_USER_ID = 'system';
+
+// Only the fields that apply to the type are kept
+function toRecurrence({ type, interval, weekday }) {
+  return type === 'days' ? { type, interval } : { type, weekday };
+}
+
+function parseRecurrence(value) {
+  if (!value) return null;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return null;
+  }
+}
+
+// When an item completed at `completedAt` is due again, or null if it
+// cannot tell
+function recurrenceDueAt(recurrence, completedAt) {
+  if (!recurrence || Number.isNaN(completedAt.getTime())) return null;
+  
+  const day = new Date(Date.UTC(completedAt.getUTCFullYear(), completedAt.getUTCMonth(), completedAt.getUTCDate()));
+  const days = recurrence.type === 'days'
+    ? recurrence.interval
+    : ((recurrence.weekday - day.getUTCDay() + 6) % 7) + 1;
+  day.setUTCDate(day.getUTCDate() + days);
+  return day;
+}
+
+const RECURRING_ITEM_COLUMNS = 'i.id, i.list_id as listId, i.text, i.recurrence, i.field_versions as fieldVersions';
+const RECURRING_ITEM_DUE = 'i.recurrence IS NOT NULL AND i.deleted = FALSE AND i.completed = TRUE';
+
+// Un-complete every recurring item that is due, in one list (before each
+// sync, so it only looks at that list's rows) or, from the cron trigger, in
+// every list. The completion time is the timestamp in the completed field's
+// version. Each update only applies if the item has not been edited since
+// it was read, so a concurrent sync always wins, and only items that did
+// come back are logged and broadcast.
+async function reviveRecurringItems(env, ctx, listId = null) {
+  const query = listId
+    ? env.DB.prepare(
+      `SELECT ${RECURRING_ITEM_COLUMNS} FROM items i WHERE i.list_id = ? AND ${RECURRING_ITEM_DUE}`
+    ).bind(listId)
+    : env.DB.prepare(
+      `SELECT ${RECURRING_ITEM_COLUMNS} FROM items i JOIN lists l ON i.list_id = l.id
+       WHERE ${RECURRING_ITEM_DUE} AND l.deleted = FALSE`
+    );
+  const { results } = await query.all();
+  
+  const now = new Date();
+  const timestamp = now.toISOString();
+  const dueByList = new Map();
+  
+  for (const item of results || []) {
+    const versions = parseFieldVersions(item.fieldVersions);
+    const completedAt = new Date(String(versions.completed || '').split('#')[0]);
+    const dueAt = recurrenceDueAt(parseRecurrence(item.recurrence), completedAt);
+    if (!dueAt || dueAt > now) continue;
+    
+    if (!dueByList.has(item.listId)) dueByList.set(item.listId, []);
+    dueByList.get(item.listId).push({ ...item, versions: { ...versions, completed: serverFieldVersion(timestamp) } });
+  }
+  
+  let revivedLists = 0;
+  for (const [dueListId, items] of dueByList) {
+    const statements = items.map(item => env.DB.prepare(
+      `UPDATE items SET completed = FALSE, field_versions = ?, updated_at = ?, seq = ${CURRENT_SEQ}
+       WHERE id = ? AND completed = TRUE AND field_versions = ?`
+    ).bind(JSON.stringify(item.versions), timestamp, dueListId, item.id, item.fieldVersions));
+    
+    // An entry is only written if its item now carries the new versions
+    const activity = items.map(item => logActivity(env, {
+      listId: dueListId,
+      userId: SYSTEM_USER_ID,
+      action: 'item_recurred',
+      entityId: item.id,
+      summary: item.text
+    }, ['EXISTS (SELECT 1 FROM items WHERE id = ? AND field_versions = ?)', item.id, JSON.stringify(item.versions)]));
+    
+    const written = await writeWithSeq(env, dueListId, statements, activity);
+    const revived = items.filter((item, i) => written[2 * i + 1].meta.changes > 0);
+    if (revived.length === 0) continue;
+    revivedLists++;
+    
+    ctx.waitUntil(broadcastListChanges(env, dueListId, { itemIds: revived.map(item => item.id) }));
+  }
+  
+  if (!listId && revivedLists > 0) {
+    console.log(`Brought back recurring items in ${revivedLists} lists`);
+  }
+}
+
+// Activity History
+
+// Append-only log of who did what to a list. Entries are written in the same
+// batch as the change they describe and keep the item or category name as
+// it was, so the history still reads well after renames and purges.
+//
+// For a change that may not apply, `onlyIf` ([condition, ...params]) is an
+// SQL condition that holds once it has; the entry is skipped otherwise.
+function logActivity(env, { listId, userId, action, entityId = null, summary = null, details = null }, onlyIf = null) {
+  const values = [listId, userId, action, entityId, summary, details ? JSON.stringify(details) : null, new Date().toISOString()];
+  
+  if (!onlyIf) {
+    return env.DB.prepare(
+      'INSERT INTO activity (list_id, user_id, action, entity_id, summary, details, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)'
+    ).bind(...values);
+  }
+  
+  const [condition, ...params] = onlyIf;
+  return env.DB.prepare(
+    `INSERT INTO activity (list_id, user_id, action, entity_id, summary, details, created_at)
+     SELECT ?, ?, ?, ?, ?, ?, ? WHERE ${condition}`
+  ).bind(...values, ...params);
+}
+
+// Newest first, paged with ?before=<id of the last entry seen>&limit=
+async function getListHistory(listId, request, user, env, corsHeaders) {
+  const access = await checkListAccess(listId, user, env);
+  
+  if (!access.access) {
+    return error(access.error, access.status, corsHeaders, access);
+  }
+  
+  const url = new URL(request.url);
+  const limit = Math.min(Math.max(parseInt(url.searchParams.get('limit'), 10) || 50, 1), 100);
+  const before = parseInt(url.searchParams.get('before'), 10) || null;
+  
+  const { results } = await env.DB.prepare(
+    `SELECT a.id, a.action, a.entity_id as entityId, a.summary, a.details, a.created_at as createdAt,
+            a.user_id as userId, u.name as userName, u.email as userEmail
+     FROM activity a
+     LEFT JOIN users u ON a.user_id = u.id
+     WHERE a.list_id = ?1 AND (?2 IS NULL OR a.id < ?2)
+     ORDER BY a.id DESC
+     LIMIT ?3`
+  ).bind(listId, before, limit + 1).all();
+  
+  const entries = (results || []).slice(0, limit).map(entry => ({
+    ...entry,
+    details: entry.details ? JSON.parse(entry.details) : null
+  }));
+  
+  return json({
+    entries,
+    nextBefore: results.length > limit ? entries[entries.length - 1].id : null
+  }, corsHeaders);
+}
+
+// Data Retention
+
+// Deleted rows are kept as tombstones so other devices learn about the
+// delete, then hard-deleted once they are older than the retention window.
+// Each list records the highest sequence it purged; a client whose cursor is
+// below that may have missed deletes and is told to resync from scratch.
+const DEFAULT_TOMBSTONE_RETENTION_DAYS = 30;
+
+async function purgeTombstones(env) {
+  const days = Number(env.TOMBSTONE_RETENTION_DAYS) || DEFAULT_TOMBSTONE_RETENTION_DAYS;
+  const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+  
+  // Categories are only purged once no remaining item points at them, so
+  // the foreign key never silently clears a live item's category
+  const purgeItem = 'deleted = TRUE AND updated_at < ?1';
+  const purgeCategory = `deleted = TRUE AND updated_at < ?1 AND NOT EXISTS (
+    SELECT 1 FROM items i WHERE i.category_id = categories.id AND NOT (i.deleted = TRUE AND i.updated_at < ?1))`;
+  
+  const [, items, categories, lists] = await env.DB.batch([
+    env.DB.prepare(
+      `UPDATE lists SET purged_seq = MAX(
+         COALESCE(purged_seq, 0),
+         COALESCE((SELECT MAX(seq) FROM items WHERE list_id = lists.id AND ${purgeItem}), 0),
+         COALESCE((SELECT MAX(seq) FROM categories WHERE list_id = lists.id AND ${purgeCategory}), 0)
+       )
+       WHERE id IN (SELECT list_id FROM items WHERE ${purgeItem})
+          OR id IN (SELECT list_id FROM categories WHERE ${purgeCategory})`
+    ).bind(cutoff),
+    env.DB.prepare(`DELETE FROM items WHERE ${purgeItem}`).bind(cutoff),
+    env.DB.prepare(`DELETE FROM categories WHERE ${purgeCategory}`).bind(cutoff),
+    // Shares, categories and items go with the list (ON DELETE CASCADE)
+    env.DB.prepare('DELETE FROM lists WHERE deleted = TRUE AND updated_at < ?1').bind(cutoff),
+    // Expired sessions can never be refreshed again, nor abandoned sign-ins completed
+    env.DB.prepare('DELETE FROM sessions WHERE expires_at < ?').bind(new Date().toISOString()),
+    env.DB.prepare('DELETE FROM oauth_states WHERE expires_at < ?').bind(new Date().toISOString()),
+    // Expired invite links stay listed, marked expired, for the retention window
+    env.DB.prepare('DELETE FROM invite_links WHERE expires_at < ?1').bind(cutoff)
+  ]);
+  
+  console.log(`Purged tombstones older than ${cutoff}: ${items.meta.changes} items, ${categories.meta.changes} categories, ${lists.meta.changes} lists`);
+}
+
+// Live Updates
+
+// One Durable Object per list holds the WebSocket connections of everyone
+// viewing it. Sockets use the hibernation API so idle lists cost nothing.
+export class ListLive {
+  constructor(ctx, env) {
+    this.ctx = ctx;
+    this.env = env;
+    // Keep-alive pings are answered without waking the object
+    this.ctx.setWebSocketAutoResponse(new WebSocketRequestResponsePair('ping', 'pong'));
+  }
+  
+  async fetch(request) {
+    const url = new URL(request.url);
+    
+    if (url.pathname === '/broadcast') {
+      const { message, originDeviceId } = await request.json();
+      const payload = JSON.stringify(message);
+      for (const ws of this.ctx.getWebSockets()) {
+        if (originDeviceId && this.ctx.getTags(ws).includes(`device:${originDeviceId}`)) continue;
+        try {
+          ws.send(payload);
+        } catch (e) {
+          // Socket already closing
+        }
+      }
+      return new Response(null, { status: 204 });
+    }
+    
+    if (url.pathname === '/disconnect') {
+      for (const ws of this.ctx.getWebSockets(`user:${url.searchParams.get('userId')}`)) {
+        ws.close(4003, 'Access revoked');
+      }
+      return new Response(null, { status: 204 });
+    }
+    
+    const { 0: client, 1: server } = new WebSocketPair();
+    const tags = [`user:${url.searchParams.get('userId')}`];
+    if (url.searchParams.get('deviceId')) {
+      tags.push(`device:${url.searchParams.get('deviceId')}`);
+    }
+    this.ctx.acceptWebSocket(server, tags);
+    
+    return new Response(null, { status: 101, webSocket: client });
+  }
+  
+  // The peer's code cannot be echoed back: 1005 and 1006 (no status,
+  // abnormal close) are reserved and make close() throw
+  webSocketClose(ws) {
+    ws.close(1000, 'Closing');
+  }
+}
+
+async function connectLive(listId, request, user, env, corsHeaders) {
+  if (request.headers.get('Upgrade') !== 'websocket') {
+    return error('Expected WebSocket upgrade', 426, corsHeaders);
+  }
+  
+  if (!env.LIVE) {
+    return error('Live updates not configured', 501, corsHeaders);
+  }
+  
+  const access = await checkListAccess(listId, user, env);
+  
+  if (!access.access) {
+    return error(access.error, access.status, corsHeaders, access);
+  }
+  
+  const url = new URL(request.url);
+  const liveUrl = new URL('https://live/connect');
+  liveUrl.searchParams.set('userId', user.id);
+  liveUrl.searchParams.set('deviceId', url.searchParams.get('deviceId') || '');
+  
+  return getLiveStub(env, listId).fetch(new Request(liveUrl, request));
+}
+
+function getLiveStub(env, listId) {
+  return env.LIVE.get(env.LIVE.idFromName(listId));
+}
+
+// Push the current state of changed rows to everyone else viewing the list
+async function broadcastListChanges(env, listId, { itemIds = [], categoryIds = [] }, originDeviceId = null) {
+  if (!env.LIVE) return;
+  
+  try {
+    const itemChanges = await selectRowsByIds(env, 'items', ITEM_SYNC_COLUMNS, listId, itemIds);
+    const categoryChanges = await selectRowsByIds(env, 'categories', CATEGORY_SYNC_COLUMNS, listId, categoryIds);
+    
+    await getLiveStub(env, listId).fetch('https://live/broadcast', {
+      method: 'POST',
+      body: JSON.stringify({
+        originDeviceId,
+        message: {
+          type: 'changes',
+          listId,
+          itemChanges: itemChanges.map(serializeItemChange),
+          categoryChanges: categoryChanges.map(serializeCategoryChange)
+        }
+      })
+    });
+  } catch (e) {
+    console.error('Live broadcast failed:', e);
+  }
+}
+
+// Renames, archiving and deletes, for everyone viewing the list
+async function broadcastListInfo(env, listId, info) {
+  if (!env.LIVE) return;
+  
+  try {
+    await getLiveStub(env, listId).fetch('https://live/broadcast', {
+      method: 'POST',
+      body: JSON.stringify({ message: { type: 'list', listId, ...info } })
+    });
+  } catch (e) {
+    console.error('Live broadcast failed:', e);
+  }
+}
+
+async function disconnectLiveUser(env, listId, userId) {
+  if (!env.LIVE) return;
+  
+  try {
+    await getLiveStub(env, listId).fetch(`https://live/disconnect?userId=${encodeURIComponent(userId)}`, {
+      method: 'POST'
+    });
+  } catch (e) {
+    console.error('Live disconnect failed:', e);
+  }
+}
+
+// D1 limits bound parameters per statement, so look ids up in chunks
+async function selectRowsByIds(env, table, columns, listId, ids) {
+  const rows = [];
+  const uniqueIds = [...new Set(ids)];
+  
+  for (let i = 0; i < uniqueIds.length; i += 50) {
+    const chunk = uniqueIds.slice(i, i + 50);
+    const { results } = await env.DB.prepare(
+      `SELECT ${columns} FROM ${table} WHERE list_id = ? AND id IN (${chunk.map(() => '?').join(', ')})`
+    ).bind(listId, ...chunk).all();
+    rows.push(...(results || []));
+  }
+  return rows;
+}
+
+// Request Validation
+//
+// Every JSON body is read with readBody(request, schema). A schema maps each
+// field the route accepts to a rule; anything else in the body is dropped.
+// Rules can say:
+//   type       'string', 'integer', 'number', 'boolean', 'array' or 'object'
+//   required   must be present (and, for strings, not blank)
+//   nullable   null is allowed and kept
+//   default    value used when the field is missing
+//   oneOf      allowed values
+//   trim, lowercase, maxLength, pattern    (strings)
+//   min, max                               (integers and numbers)
+//   maxItems, items                        (arrays; items is a rule)
+//   fields, or keys + values + maxKeys     (objects with known fields, or maps;
+//                                           an object rule with neither keeps
+//                                           the object as it is)
+//   check      (value) => message or null, once the fields are valid
+// Problems are reported as { field, message } in the error's details.
+
+const MAX_BODY_BYTES = 1024 * 1024;
+const MAX_NAME_LENGTH = 100;
+const MAX_TEXT_LENGTH = 200;
+const MAX_CHANGES_PER_LIST = 500;
+const MAX_CATEGORIES_PER_ORDER = 500;
+const MAX_QUANTITY = 100000;
+const MAX_NOTES_LENGTH = 1000;
+const MAX_PRICE = 1000000;
+
+class ApiError extends Error {
+  constructor(status, code, message, details) {
+    super(message);
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+const ID_RULE = { type: 'string', maxLength: 64, pattern: /^[\w-]+$/ };
+const NAME_RULE = { type: 'string', required: true, trim: true, maxLength: MAX_NAME_LENGTH };
+const CHANGE_RULE = {
+  type: 'object',
+  required: true,
+  fields: {
+    changeId: { type: 'string', required: true, maxLength: 100 },
+    // Checked per change by the sync planner, so one bad change is
+    // rejected on its own rather than failing the whole payload
+    type: {},
+    id: {},
+    order: {},
+    version: {},
+    fields: { type: 'object' },
+    versions: { type: 'object' }
+  }
+};
+const CHANGES_RULE = { type: 'array', default: [], maxItems: MAX_CHANGES_PER_LIST, items: CHANGE_RULE };
+const QUANTITY_RULE = { type: 'number', nullable: true, min: 0, max: MAX_QUANTITY };
+const UNIT_RULE = { type: 'string', nullable: true, trim: true, maxLength: 20 };
+const NOTES_RULE = { type: 'string', nullable: true, trim: true, maxLength: MAX_NOTES_LENGTH };
+const PRICE_RULE = { type: 'number', nullable: true, min: 0, max: MAX_PRICE };
+// See Recurring Items
+const RECURRENCE_RULE = {
+  type: 'object',
+  nullable: true,
+  fields: {
+    type: { oneOf: ['days', 'weekly'], required: true },
+    interval: { type: 'integer', min: 1, max: 365 },
+    weekday: { type: 'integer', min: 0, max: 6 }
+  },
+  check: ({ type, interval, weekday }) => {
+    if (type === 'days' && interval === undefined) return 'needs an interval';
+    if (type === 'weekly' && weekday === undefined) return 'needs a weekday';
+    return null;
+  }
+};
+
+// Fields a sync change may set, checked change by change (see planRowChange)
+const SYNC_FIELD_RULES = {
+  text: { type: 'string', required: true, maxLength: MAX_TEXT_LENGTH },
+  quantity: QUANTITY_RULE,
+  unit: UNIT_RULE,
+  notes: NOTES_RULE,
+  price: PRICE_RULE,
+  categoryId: { ...ID_RULE, nullable: true },
+  completed: { type: 'boolean' },
+  recurrence: RECURRENCE_RULE,
+  name: { type: 'string', required: true, maxLength: MAX_NAME_LENGTH },
+  sortOrder: { type: 'integer', min: 0 }
+};
+
+const SCHEMAS = {
+  refreshSession: {
+    refreshToken: { type: 'string', required: true, maxLength: 200 }
+  },
+  createApiToken: {
+    name: NAME_RULE,
+    access: { oneOf: API_TOKEN_ACCESS, default: 'write' },
+    listIds: { type: 'array', nullable: true, default: null, minItems: 1, maxItems: 100, items: { ...ID_RULE, required: true } }
+  },
+  deleteAccount: {
+    transfers: { type: 'object', default: {}, keys: ID_RULE, values: { ...ID_RULE, required: true }, maxKeys: 1000 }
+  },
+  createList: {
+    name: NAME_RULE,
+    templateId: { ...ID_RULE, nullable: true }
+  },
+  duplicateList: {
+    name: { ...NAME_RULE, required: false }
+  },
+  saveTemplate: {
+    name: NAME_RULE
+  },
+  updateList: {
+    name: { ...NAME_RULE, required: false },
+    archived: { type: 'boolean' },
+    budget: PRICE_RULE
+  },
+  shareList: {
+    email: { type: 'string', required: true, trim: true, lowercase: true, maxLength: 254, pattern: EMAIL_PATTERN },
+    role: { oneOf: SHARE_ROLES, default: DEFAULT_SHARE_ROLE }
+  },
+  updateShareRole: {
+    role: { oneOf: SHARE_ROLES, required: true }
+  },
+  transferOwnership: {
+    userId: { ...ID_RULE, required: true }
+  },
+  createInviteLink: {
+    role: { oneOf: SHARE_ROLES, default: DEFAULT_SHARE_ROLE },
+    expiresInDays: { type: 'integer', nullable: true, default: null, min: 1, max: MAX_INVITE_LINK_DAYS },
+    maxUses: { type: 'integer', nullable: true, default: null, min: 1, max: 10000 }
+  },
+  acceptInviteLink: {
+    token: { type: 'string', required: true, maxLength: 200 }
+  },
+  createCategory: {
+    name: NAME_RULE
+  },
+  updateCategoryOrder: {
+    order: { type: 'array', required: true, maxItems: MAX_CATEGORIES_PER_ORDER, items: { ...ID_RULE, required: true } }
+  },
+  addItem: {
+    text: { type: 'string', required: true, trim: true, maxLength: MAX_TEXT_LENGTH },
+    quantity: { ...QUANTITY_RULE, default: null },
+    unit: { ...UNIT_RULE, default: null },
+    notes: { ...NOTES_RULE, default: null },
+    price: { ...PRICE_RULE, default: null },
+    categoryId: { ...ID_RULE, nullable: true, default: null },
+    recurrence: { ...RECURRENCE_RULE, default: null }
+  },
+  syncList: {
+    cursor: { type: 'string', nullable: true, maxLength: 100 },
+    deviceId: { type: 'string', nullable: true, maxLength: 100 },
+    itemChanges: CHANGES_RULE,
+    categoryChanges: CHANGES_RULE,
+    categoryOrderChanges: CHANGES_RULE
+  },
+  syncManyLists: {
+    deviceId: { type: 'string', nullable: true, maxLength: 100 },
+    lists: { type: 'array', required: true, maxItems: MAX_SYNC_LISTS, items: { type: 'object', required: true } }
+  }
+};
+
+// Parse and validate a JSON body, throwing an ApiError for the router to
+// turn into a 400 or 413
+async function readBody(request, schema) {
+  if (Number(request.headers.get('Content-Length')) > MAX_BODY_BYTES) {
+    throw new ApiError(413, 'payload_too_large', `Request body must be under ${MAX_BODY_BYTES} bytes`);
+  }
+  
+  const text = await request.text();
+  if (text.length > MAX_BODY_BYTES) {
+    throw new ApiError(413, 'payload_too_large', `Request body must be under ${MAX_BODY_BYTES} bytes`);
+  }
+  
+  let body;
+  try {
+    body = text ? JSON.parse(text) : {};
+  } catch (e) {
+    throw new ApiError(400, 'invalid_json', 'Request body must be JSON');
+  }
+  
+  const { value, problems } = validate(body, { type: 'object', fields: schema });
+  if (problems.length > 0) {
+    throw new ApiError(400, 'validation_failed', problems[0].message, { problems });
+  }
+  return value;
+}
+
+// Returns { value, problems } with the cleaned-up value
+function validate(value, rule, field = 'body') {
+  const problems = [];
+  const cleaned = checkValue(value, rule, field, problems);
+  return { value: cleaned, problems };
+}
+
+function checkValue(value, rule, field, problems) {
+  const problem = message => {
+    problems.push({ field, message });
+    return undefined;
+  };
+  
+  if (value === null && rule.nullable) return null;
+  if (value == null) {
+    return rule.required ? problem(`${field} is required`) : rule.default;
+  }
+  
+  if (rule.oneOf && !rule.oneOf.includes(value)) {
+    return problem(`${field} must be one of: ${rule.oneOf.join(', ')}`);
+  }
+  
+  switch (rule.type) {
+    case 'string': {
+      if (typeof value !== 'string') return problem(`${field} must be a string`);
+      let text = rule.trim ? value.trim() : value;
+      if (rule.lowercase) text = text.toLowerCase();
+      if (rule.required && !text) return problem(`${field} is required`);
+      if (rule.maxLength && text.length > rule.maxLength) {
+        return problem(`${field} must be at most ${rule.maxLength} characters`);
+      }
+      if (rule.pattern && !rule.pattern.test(text)) return problem(`${field} is not valid`);
+      return text;
+    }
+    
+    case 'integer':
+      if (!Number.isInteger(value)) return problem(`${field} must be a whole number`);
+      if (rule.min !== undefined && value < rule.min) return problem(`${field} must be at least ${rule.min}`);
+      if (rule.max !== undefined && value > rule.max) return problem(`${field} must be at most ${rule.max}`);
+      return value;
+    
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return problem(`${field} must be a number`);
+      if (rule.min !== undefined && value < rule.min) return problem(`${field} must be at least ${rule.min}`);
+      if (rule.max !== undefined && value > rule.max) return problem(`${field} must be at most ${rule.max}`);
+      return value;
+    
+    case 'boolean':
+      if (typeof value !== 'boolean') return problem(`${field} must be true or false`);
+      return value;
+    
+    case 'array':
+      if (!Array.isArray(value)) return problem(`${field} must be an array`);
+      if (rule.minItems && value.length < rule.minItems) {
+        return problem(`${field} must have at least ${rule.minItems} entries`);
+      }
+      if (rule.maxItems && value.length > rule.maxItems) {
+        return problem(`${field} must have at most ${rule.maxItems} entries`);
+      }
+      return rule.items ? value.map((entry, i) => checkValue(entry, rule.items, `${field}[${i}]`, problems)) : value;
+    
+    case 'object': {
+      if (typeof value !== 'object' || Array.isArray(value)) return problem(`${field} must be an object`);
+      
+      if (rule.fields) {
+        // Only known fields are kept
+        const checked = {};
+        const known = problems.length;
+        for (const [name, fieldRule] of Object.entries(rule.fields)) {
+          const path = field === 'body' ? name : `${field}.${name}`;
+          checked[name] = checkValue(value[name], fieldRule, path, problems);
+        }
+        const message = rule.check && problems.length === known ? rule.check(checked) : null;
+        return message ? problem(`${field} ${message}`) : checked;
+      }
+      
+      if (rule.values) {
+        const entries = Object.entries(value);
+        if (rule.maxKeys && entries.length > rule.maxKeys) {
+          return problem(`${field} must have at most ${rule.maxKeys} entries`);
+        }
+        return Object.fromEntries(entries.map(([key, entry]) => [
+          checkValue(key, rule.keys, `${field} key`, problems),
+          checkValue(entry, rule.values, `${field}.${key}`, problems)
+        ]));
+      }
+      return value;
+    }
+    
+    default:
+      return value;
+  }
+}
+
+// Helpers
+
+// Errors are { error, code, details? }: error is for people, code for
+// programs. Codes default to one per status.
+const ERROR_CODES = {
+  400: 'invalid_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  410: 'gone',
+  413: 'payload_too_large',
+  426: 'upgrade_required',
+  429: 'rate_limited',
+  500: 'internal_error',
+  501: 'not_configured'
+};
+
+function json(data, headers, status = 200) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { 'Content-Type': 'application/json', ...headers }
+  });
+}
+
+function error(message, status, headers, { code, details } = {}) {
+  return new Response(JSON.stringify({
+    error: message,
+    code: code || ERROR_CODES[status] || 'error',
+    ...(details ? { details } : {})
+  }), {
     status,
     headers: { 'Content-Type': 'application/json', ...headers }
   });
@@ -798,3 +3324,22 @@ function generateId() {
     .map(b => b.toString(16).padStart(2, '0'))
     .join('');
 }
+
+// Unguessable token for handing to clients
+function generateSecret() {
+  return base64UrlEncode(crypto.getRandomValues(new Uint8Array(32)));
+}
+
+async function sha256(text) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return base64UrlEncode(new Uint8Array(digest));
+}
+
+function base64UrlEncode(bytes) {
+  return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlDecode(text) {
+  const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+  return Uint8Array.from(atob(base64 + '='.repeat((4 - base64.length % 4) % 4)), c => c.charCodeAt(0));
+}
@@ -0,0 +1,17 @@
+-- Migration: Per-list change sequence used as the sync cursor
+ALTER TABLE lists ADD COLUMN change_seq INTEGER DEFAULT 0;
+ALTER TABLE items ADD COLUMN seq INTEGER DEFAULT 0;
+ALTER TABLE categories ADD COLUMN seq INTEGER DEFAULT 0;
+
+-- Give existing rows distinct sequences (rowids are unique per table, so
+-- offset items past every category)
+UPDATE categories SET seq = rowid;
+UPDATE items SET seq = rowid + (SELECT COALESCE(MAX(rowid), 0) FROM categories);
+
+UPDATE lists SET change_seq = MAX(
+    COALESCE((SELECT MAX(seq) FROM items WHERE list_id = lists.id), 0),
+    COALESCE((SELECT MAX(seq) FROM categories WHERE list_id = lists.id), 0)
+);
+
+CREATE INDEX IF NOT EXISTS idx_items_seq ON items(list_id, seq);
+CREATE INDEX IF NOT EXISTS idx_categories_seq ON categories(list_id, seq);
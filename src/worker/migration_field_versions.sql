@@ -0,0 +1,4 @@
+-- Migration: Per-field versions for field-level merge
+-- JSON object of field name -> version ("<ISO timestamp>#<device id>")
+ALTER TABLE items ADD COLUMN field_versions TEXT DEFAULT '{}';
+ALTER TABLE categories ADD COLUMN field_versions TEXT DEFAULT '{}';
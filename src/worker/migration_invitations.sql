@@ -0,0 +1,12 @@
+-- Migration: invitations for people who have not signed in yet
+CREATE TABLE IF NOT EXISTS list_invitations (
+    list_id TEXT NOT NULL,
+    email TEXT NOT NULL,
+    invited_by TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (list_id, email),
+    FOREIGN KEY (list_id) REFERENCES lists(id) ON DELETE CASCADE,
+    FOREIGN KEY (invited_by) REFERENCES users(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_list_invitations_email ON list_invitations(email);
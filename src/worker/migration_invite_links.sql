@@ -0,0 +1,16 @@
+-- Migration: expiring, revocable invite links
+CREATE TABLE IF NOT EXISTS invite_links (
+    id TEXT PRIMARY KEY,
+    list_id TEXT NOT NULL,
+    token_hash TEXT NOT NULL UNIQUE,
+    role TEXT CHECK(role IN ('collaborator')) DEFAULT 'collaborator',
+    created_by TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    expires_at DATETIME,
+    max_uses INTEGER,
+    use_count INTEGER DEFAULT 0,
+    FOREIGN KEY (list_id) REFERENCES lists(id) ON DELETE CASCADE,
+    FOREIGN KEY (created_by) REFERENCES users(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_invite_links_list ON invite_links(list_id);
@@ -0,0 +1,4 @@
+-- Migration: item notes and prices, list budgets
+ALTER TABLE items ADD COLUMN notes TEXT;
+ALTER TABLE items ADD COLUMN price REAL;
+ALTER TABLE lists ADD COLUMN budget REAL;
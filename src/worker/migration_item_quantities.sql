@@ -0,0 +1,3 @@
+-- Migration: item quantities and units
+ALTER TABLE items ADD COLUMN quantity REAL;
+ALTER TABLE items ADD COLUMN unit TEXT;
@@ -0,0 +1,2 @@
+-- Migration: archived lists
+ALTER TABLE lists ADD COLUMN archived BOOLEAN DEFAULT FALSE;
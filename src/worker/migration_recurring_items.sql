@@ -0,0 +1,4 @@
+-- Migration: recurring items
+ALTER TABLE items ADD COLUMN recurrence TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_items_recurring ON items(list_id) WHERE recurrence IS NOT NULL AND deleted = FALSE;
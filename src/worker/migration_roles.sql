@@ -0,0 +1,41 @@
+-- Migration: viewer, editor and co-owner roles (collaborators become editors)
+-- SQLite cannot change a CHECK constraint in place, so the tables are rebuilt
+CREATE TABLE list_shares_new (
+    list_id TEXT NOT NULL,
+    user_id TEXT NOT NULL,
+    role TEXT CHECK(role IN ('viewer', 'editor', 'co-owner')) DEFAULT 'editor',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (list_id, user_id),
+    FOREIGN KEY (list_id) REFERENCES lists(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id)
+);
+
+INSERT INTO list_shares_new (list_id, user_id, role, created_at)
+SELECT list_id, user_id, 'editor', created_at FROM list_shares;
+
+DROP TABLE list_shares;
+ALTER TABLE list_shares_new RENAME TO list_shares;
+CREATE INDEX IF NOT EXISTS idx_list_shares_user ON list_shares(user_id);
+
+CREATE TABLE invite_links_new (
+    id TEXT PRIMARY KEY,
+    list_id TEXT NOT NULL,
+    token_hash TEXT NOT NULL UNIQUE,
+    role TEXT CHECK(role IN ('viewer', 'editor', 'co-owner')) DEFAULT 'editor',
+    created_by TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    expires_at DATETIME,
+    max_uses INTEGER,
+    use_count INTEGER DEFAULT 0,
+    FOREIGN KEY (list_id) REFERENCES lists(id) ON DELETE CASCADE,
+    FOREIGN KEY (created_by) REFERENCES users(id)
+);
+
+INSERT INTO invite_links_new (id, list_id, token_hash, role, created_by, created_at, expires_at, max_uses, use_count)
+SELECT id, list_id, token_hash, 'editor', created_by, created_at, expires_at, max_uses, use_count FROM invite_links;
+
+DROP TABLE invite_links;
+ALTER TABLE invite_links_new RENAME TO invite_links;
+CREATE INDEX IF NOT EXISTS idx_invite_links_list ON invite_links(list_id);
+
+ALTER TABLE list_invitations ADD COLUMN role TEXT CHECK(role IN ('viewer', 'editor', 'co-owner')) DEFAULT 'editor';
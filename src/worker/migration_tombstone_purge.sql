@@ -0,0 +1,4 @@
+-- Migration: Track purged tombstones so stale sync cursors trigger a full resync
+ALTER TABLE lists ADD COLUMN purged_seq INTEGER DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_categories_updated ON categories(updated_at);
@@ -10,8 +10,59 @@ CREATE TABLE IF NOT EXISTS users (
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Sessions issued by the Worker (one per signed-in device)
+CREATE TABLE IF NOT EXISTS sessions (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    refresh_hash TEXT NOT NULL UNIQUE,
+    device_name TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    last_used_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    expires_at DATETIME NOT NULL,
+    FOREIGN KEY (user_id) REFERENCES users(id)
+);
+
+-- Personal API tokens for scripts (stored hashed; list_ids is a JSON array,
+-- NULL for every list the user can reach)
+CREATE TABLE IF NOT EXISTS api_tokens (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    name TEXT NOT NULL,
+    token_hash TEXT NOT NULL UNIQUE,
+    access TEXT CHECK(access IN ('read', 'write')) DEFAULT 'write',
+    list_ids TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    last_used_at DATETIME,
+    FOREIGN KEY (user_id) REFERENCES users(id)
+);
+
+-- Saved list templates, private to each user. contents is JSON:
+-- { categories: [{ name, sortOrder }], items: [{ text, quantity, unit, notes, price, category, recurrence }] }
+-- where category is an index into categories (or null)
+CREATE TABLE IF NOT EXISTS list_templates (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    name TEXT NOT NULL,
+    contents TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (user_id, name),
+    FOREIGN KEY (user_id) REFERENCES users(id)
+);
+
+-- Sign-ins in progress: PKCE verifier and nonce, keyed by the OAuth state
+CREATE TABLE IF NOT EXISTS oauth_states (
+    state TEXT PRIMARY KEY,
+    code_verifier TEXT NOT NULL,
+    nonce TEXT NOT NULL,
+    expires_at DATETIME NOT NULL
+);
+
 -- Modify lists table to use owner_id instead of pin
 -- First, drop existing tables for fresh start (as requested)
+DROP TABLE IF EXISTS activity;
+DROP TABLE IF EXISTS invite_links;
+DROP TABLE IF EXISTS list_invitations;
 DROP TABLE IF EXISTS list_shares;
 DROP TABLE IF EXISTS categories;
 DROP TABLE IF EXISTS items;
@@ -22,8 +73,12 @@ CREATE TABLE lists (
     id TEXT PRIMARY KEY,
     name TEXT NOT NULL,
     owner_id TEXT NOT NULL,
+    change_seq INTEGER DEFAULT 0,
+    purged_seq INTEGER DEFAULT 0,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    archived BOOLEAN DEFAULT FALSE,
+    budget REAL,
     deleted BOOLEAN DEFAULT FALSE,
     FOREIGN KEY (owner_id) REFERENCES users(id)
 );
@@ -32,32 +87,72 @@ CREATE TABLE lists (
 CREATE TABLE list_shares (
     list_id TEXT NOT NULL,
     user_id TEXT NOT NULL,
-    role TEXT CHECK(role IN ('collaborator')) DEFAULT 'collaborator',
+    role TEXT CHECK(role IN ('viewer', 'editor', 'co-owner')) DEFAULT 'editor',
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     PRIMARY KEY (list_id, user_id),
     FOREIGN KEY (list_id) REFERENCES lists(id) ON DELETE CASCADE,
     FOREIGN KEY (user_id) REFERENCES users(id)
 );
 
+-- Invitations for people who have not signed in yet (email is lowercase);
+-- they become list_shares rows on that person's first sign-in
+CREATE TABLE list_invitations (
+    list_id TEXT NOT NULL,
+    email TEXT NOT NULL,
+    invited_by TEXT NOT NULL,
+    role TEXT CHECK(role IN ('viewer', 'editor', 'co-owner')) DEFAULT 'editor',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (list_id, email),
+    FOREIGN KEY (list_id) REFERENCES lists(id) ON DELETE CASCADE,
+    FOREIGN KEY (invited_by) REFERENCES users(id)
+);
+
+-- Invite links: anyone signed in who opens one joins the list with its role,
+-- until it expires, runs out of uses or is revoked (token stored hashed)
+CREATE TABLE invite_links (
+    id TEXT PRIMARY KEY,
+    list_id TEXT NOT NULL,
+    token_hash TEXT NOT NULL UNIQUE,
+    role TEXT CHECK(role IN ('viewer', 'editor', 'co-owner')) DEFAULT 'editor',
+    created_by TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    expires_at DATETIME,
+    max_uses INTEGER,
+    use_count INTEGER DEFAULT 0,
+    FOREIGN KEY (list_id) REFERENCES lists(id) ON DELETE CASCADE,
+    FOREIGN KEY (created_by) REFERENCES users(id)
+);
+
 -- Categories table
 CREATE TABLE categories (
     id TEXT PRIMARY KEY,
     list_id TEXT NOT NULL,
     name TEXT NOT NULL,
     sort_order INTEGER DEFAULT 0,
+    field_versions TEXT DEFAULT '{}',
+    seq INTEGER DEFAULT 0,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     deleted BOOLEAN DEFAULT FALSE,
     FOREIGN KEY (list_id) REFERENCES lists(id) ON DELETE CASCADE
 );
 
--- Items table
+-- Items table. recurrence is JSON, { type: 'days', interval } or
+-- { type: 'weekly', weekday } (0 is Sunday); a completed recurring item is
+-- un-completed once it is due again.
 CREATE TABLE items (
     id TEXT PRIMARY KEY,
     list_id TEXT NOT NULL,
     category_id TEXT,
     text TEXT NOT NULL,
+    quantity REAL,
+    unit TEXT,
+    notes TEXT,
+    price REAL,
     completed BOOLEAN DEFAULT FALSE,
+    recurrence TEXT,
+    field_versions TEXT DEFAULT '{}',
+    seq INTEGER DEFAULT 0,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     deleted BOOLEAN DEFAULT FALSE,
@@ -65,10 +160,32 @@ CREATE TABLE items (
     FOREIGN KEY (category_id) REFERENCES categories(id) ON DELETE SET NULL
 );
 
+-- Activity log (append-only)
+CREATE TABLE activity (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    list_id TEXT NOT NULL,
+    user_id TEXT NOT NULL,
+    action TEXT NOT NULL,
+    entity_id TEXT,
+    summary TEXT,
+    details TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (list_id) REFERENCES lists(id) ON DELETE CASCADE
+);
+
 -- Indexes for performance
 CREATE INDEX IF NOT EXISTS idx_lists_owner ON lists(owner_id);
 CREATE INDEX IF NOT EXISTS idx_list_shares_user ON list_shares(user_id);
 CREATE INDEX IF NOT EXISTS idx_categories_list ON categories(list_id);
 CREATE INDEX IF NOT EXISTS idx_categories_order ON categories(list_id, sort_order);
 CREATE INDEX IF NOT EXISTS idx_items_list ON items(list_id);
-CREATE INDEX IF NOT EXISTS idx_items_updated ON items(updated_at);
\ No newline at end of file
+CREATE INDEX IF NOT EXISTS idx_items_updated ON items(updated_at);
+CREATE INDEX IF NOT EXISTS idx_categories_updated ON categories(updated_at);
+CREATE INDEX IF NOT EXISTS idx_items_seq ON items(list_id, seq);
+CREATE INDEX IF NOT EXISTS idx_items_recurring ON items(list_id) WHERE recurrence IS NOT NULL AND deleted = FALSE;
+CREATE INDEX IF NOT EXISTS idx_categories_seq ON categories(list_id, seq);
+CREATE INDEX IF NOT EXISTS idx_activity_list ON activity(list_id, id);
+CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id);
+CREATE INDEX IF NOT EXISTS idx_api_tokens_user ON api_tokens(user_id);
+CREATE INDEX IF NOT EXISTS idx_list_invitations_email ON list_invitations(email);
+CREATE INDEX IF NOT EXISTS idx_invite_links_list ON invite_links(list_id);